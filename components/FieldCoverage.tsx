@@ -0,0 +1,62 @@
+import React from 'react';
+import { SiteCoverage, FieldCoverage as FieldCoverageData } from '../types';
+import { AlertTriangle, Gauge } from 'lucide-react';
+
+interface FieldCoverageProps {
+  coverage: SiteCoverage[];
+}
+
+const formatRate = (rate: number | null) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+// Tooltip: baseline and which selectors filled the field recently
+const describeField = (field: FieldCoverageData) => {
+  const lines = [`Previous ${field.baselineSamples} tasks: ${formatRate(field.baselineRate)}`];
+  for (const match of field.matches) {
+    const source = match.source ? `${match.source}${match.selector ? `: ${match.selector}` : ''}` : 'no selector matched';
+    lines.push(`${source} ×${match.count}`);
+  }
+  return lines.join('\n');
+};
+
+const FieldCoverage: React.FC<FieldCoverageProps> = ({ coverage }) => {
+  const alertCount = coverage.reduce((count, site) => count + site.fields.filter(f => f.alert).length, 0);
+
+  return (
+    <div className="bg-white rounded-2xl p-4 space-y-3 border border-gray-100 shadow-sm">
+      <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase tracking-wider">
+        <Gauge size={14} /> Field Coverage
+        {alertCount > 0 && (
+          <span className="ml-auto flex items-center gap-1 text-yellow-600 normal-case tracking-normal">
+            <AlertTriangle size={12} /> {alertCount} dropped
+          </span>
+        )}
+      </div>
+
+      {coverage.length === 0 ? (
+        <p className="text-xs text-gray-400">No completed tasks yet.</p>
+      ) : coverage.map(site => (
+        <div key={site.site} className="space-y-1.5">
+          <div className="flex items-center justify-between text-[10px] font-semibold text-gray-500 uppercase">
+            <span>{site.site}</span>
+            <span className="text-gray-400 normal-case font-normal">last {site.recentCount} tasks</span>
+          </div>
+          {site.fields.filter(field => field.recentRate !== null).map(field => (
+            <div key={field.field} className="flex items-center gap-2 text-xs" title={describeField(field)}>
+              <span className={`w-20 truncate ${field.alert ? 'text-yellow-600 font-semibold' : 'text-gray-500'}`}>{field.label}</span>
+              <div className="flex-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${field.alert ? 'bg-yellow-500' : 'bg-green-500'}`}
+                  style={{ width: `${(field.recentRate || 0) * 100}%` }}
+                />
+              </div>
+              <span className="w-9 text-right font-mono text-[10px] text-gray-500">{formatRate(field.recentRate)}</span>
+              {field.alert && <AlertTriangle size={12} className="text-yellow-500 shrink-0" />}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FieldCoverage;
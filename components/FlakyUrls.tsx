@@ -0,0 +1,42 @@
+import React from 'react';
+import { UrlFailureStats } from '../types';
+import { Repeat } from 'lucide-react';
+
+interface FlakyUrlsProps {
+  stats: UrlFailureStats[];
+}
+
+// Show only the host and path so long Booking/Agoda URLs fit the sidebar
+const shortUrl = (url: string) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+};
+
+const describeUrl = (stat: UrlFailureStats) => [
+  stat.url,
+  `${stat.retryableFailures} of ${stat.failures} failures were retryable`,
+  `Last failure: ${new Date(stat.lastFailureAt).toLocaleString()}`,
+].join('\n');
+
+const FlakyUrls: React.FC<FlakyUrlsProps> = ({ stats }) => (
+  <div className="bg-white rounded-2xl p-4 space-y-3 border border-gray-100 shadow-sm">
+    <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase tracking-wider">
+      <Repeat size={14} /> Flaky URLs
+    </div>
+
+    {stats.length === 0 ? (
+      <p className="text-xs text-gray-400">No failed attempts yet.</p>
+    ) : stats.map(stat => (
+      <div key={stat.url} className="flex items-center gap-2 text-xs" title={describeUrl(stat)}>
+        <span className="flex-1 truncate text-gray-500">{shortUrl(stat.url)}</span>
+        <span className="font-mono text-[10px] text-red-500 shrink-0">×{stat.failures}</span>
+      </div>
+    ))}
+  </div>
+);
+
+export default FlakyUrls;
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { ResultVersion, ResultChange, TaskStatus } from '../types';
+import { getResultFieldLabel } from '../utils/resultFields';
+import { History, RefreshCw } from 'lucide-react';
+
+interface ResultHistoryProps {
+  url: string;
+  currentTaskId: string;
+  loadHistory: (url: string) => Promise<ResultVersion[]>;
+}
+
+const MAX_ITEMS = 12; // Items listed per added/removed list before "+N more"
+
+const formatValue = (value: string | number | null) => (value === null || value === '' ? '–' : String(value));
+
+const truncate = (text: string | number | null, length = 300) => {
+  const value = formatValue(text);
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+};
+
+const ItemList: React.FC<{ items: string[]; sign: '+' | '-'; images: boolean }> = ({ items, sign, images }) => {
+  if (items.length === 0) return null;
+  const color = sign === '+' ? 'bg-green-50 text-green-700 border-green-100' : 'bg-red-50 text-red-700 border-red-100 line-through';
+
+  return (
+    <div className="flex flex-wrap gap-1.5 mt-1.5">
+      {items.slice(0, MAX_ITEMS).map(item => images ? (
+        <a key={item} href={item} target="_blank" rel="noreferrer" title={item}
+          className={`relative w-14 h-14 rounded-lg overflow-hidden border-2 ${sign === '+' ? 'border-green-300' : 'border-red-300 opacity-60'}`}>
+          <img src={item} alt="" className="w-full h-full object-cover" />
+        </a>
+      ) : (
+        <span key={item} className={`px-2 py-0.5 rounded-md border text-xs ${color}`}>{sign} {item}</span>
+      ))}
+      {items.length > MAX_ITEMS && (
+        <span className="px-2 py-0.5 text-xs text-gray-400">+{items.length - MAX_ITEMS} more</span>
+      )}
+    </div>
+  );
+};
+
+const ChangeRow: React.FC<{ change: ResultChange }> = ({ change }) => {
+  if (change.kind === 'list') {
+    return (
+      <div>
+        <div className="text-sm font-semibold text-gray-700">
+          {change.label}
+          <span className="ml-2 text-xs font-medium">
+            {change.added.length > 0 && <span className="text-green-600">+{change.added.length}</span>}
+            {change.added.length > 0 && change.removed.length > 0 && ' '}
+            {change.removed.length > 0 && <span className="text-red-600">-{change.removed.length}</span>}
+          </span>
+        </div>
+        <ItemList items={change.added} sign="+" images={change.field === 'images'} />
+        <ItemList items={change.removed} sign="-" images={change.field === 'images'} />
+      </div>
+    );
+  }
+
+  if (change.kind === 'text') {
+    return (
+      <div>
+        <div className="text-sm font-semibold text-gray-700">{change.label} changed</div>
+        <div className="grid grid-cols-2 gap-2 mt-1.5 text-xs">
+          <p className="p-2 rounded-lg bg-red-50 text-red-700 border border-red-100 whitespace-pre-line">{truncate(change.before)}</p>
+          <p className="p-2 rounded-lg bg-green-50 text-green-700 border border-green-100 whitespace-pre-line">{truncate(change.after)}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-sm">
+      <span className="font-semibold text-gray-700">{change.label}: </span>
+      <span className="text-red-600 line-through">{formatValue(change.before)}</span>
+      <span className="text-gray-400"> → </span>
+      <span className="text-green-700">{formatValue(change.after)}</span>
+    </div>
+  );
+};
+
+// Every crawl of the URL, newest first, with what changed since the crawl before it
+const ResultHistory: React.FC<ResultHistoryProps> = ({ url, currentTaskId, loadHistory }) => {
+  const [versions, setVersions] = useState<ResultVersion[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setVersions(null);
+    setError(null);
+    loadHistory(url)
+      .then(data => { if (!cancelled) setVersions(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [url, loadHistory]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">Error loading history: {error}</p>;
+  }
+  if (!versions) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-400">
+        <RefreshCw size={14} className="animate-spin" /> Loading history...
+      </div>
+    );
+  }
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-400">No saved versions for this URL yet.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {versions.map(version => (
+        <div key={version.version} className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
+          <div className="flex items-center gap-3 mb-3">
+            <History size={16} className="text-blue-500" />
+            <h4 className="font-bold text-gray-900">Version {version.version}</h4>
+            <span className={`px-2 py-0.5 text-[10px] font-bold rounded-full border ${
+              version.status === TaskStatus.PARTIAL ? 'bg-amber-50 text-amber-700 border-amber-200' : 'bg-green-50 text-green-700 border-green-200'
+            }`}>
+              {version.status}
+            </span>
+            {version.taskId === currentTaskId && version === versions[0] && (
+              <span className="px-2 py-0.5 text-[10px] font-bold rounded-full bg-blue-50 text-blue-600 border border-blue-100">Current</span>
+            )}
+            <span className="ml-auto text-xs text-gray-400">{new Date(version.crawledAt).toLocaleString()}</span>
+          </div>
+
+          {version.changes === null ? (
+            <p className="text-sm text-gray-400">First crawl of this URL.</p>
+          ) : version.changes.length === 0 ? (
+            <p className="text-sm text-gray-400">No changes since version {version.version - 1}.</p>
+          ) : (
+            <div className="space-y-3">
+              {version.changes.map(change => <ChangeRow key={change.field} change={change} />)}
+            </div>
+          )}
+
+          {version.kept.length > 0 && (
+            <p className="mt-3 px-3 py-2 rounded-lg bg-amber-50 text-amber-700 border border-amber-100 text-xs">
+              Not found in this crawl, carried over from the previous result: {version.kept.map(getResultFieldLabel).join(', ')}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ResultHistory;
@@ -1,21 +1,40 @@
 import React, { useState } from 'react';
-import { Task } from '../types';
+import { Task, ResultVersion } from '../types';
+import { getFacilityGroups, getFacilityList } from '../utils/facilities';
+import { getResultFieldLabel } from '../utils/resultFields';
+import ResultHistory from './ResultHistory';
 import {
   X, Table, FileJson, Copy, Check, MapPin, Star, MessageCircle,
-  Home, ShieldCheck, Info, Image as ImageIcon
+  Home, ShieldCheck, Info, Image as ImageIcon, BedDouble, ThumbsUp, FolderOpen, FileArchive, Languages, AlertTriangle, History
 } from 'lucide-react';
 
 interface ResultModalProps {
   task: Task | null;
   onClose: () => void;
+  // Only passed in Electron, where images can be saved to disk
+  onOpenImageFolder?: (taskId: string) => void;
+  onExportImages?: (taskIds: string[]) => void;
+  // Only passed in Electron, where every crawl is kept in the database
+  onLoadHistory?: (url: string) => Promise<ResultVersion[]>;
 }
 
-const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
-  const [viewMode, setViewMode] = useState<'table' | 'json'>('table');
+const formatBytes = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+const ResultModal: React.FC<ResultModalProps> = ({ task, onClose, onOpenImageFolder, onExportImages, onLoadHistory }) => {
+  const [viewMode, setViewMode] = useState<'table' | 'json' | 'history'>('table');
   const [copied, setCopied] = useState(false);
+  const [language, setLanguage] = useState<string | null>(null);
 
   if (!task || !task.result) return null;
 
+  const locales = task.result.locales || {};
+  const languages = Object.keys(locales);
+  const activeLanguage = language && locales[language] ? language : languages[0];
+  const localized = activeLanguage ? locales[activeLanguage] : null;
+  const facilityGroups = getFacilityGroups(task.result);
+  const facilityCount = getFacilityList(task.result).length;
+
   const handleCopy = () => {
     navigator.clipboard.writeText(JSON.stringify(task.result, null, 2));
     setCopied(true);
@@ -45,6 +64,13 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
           </button>
         </div>
 
+        {task.missingFields && task.missingFields.length > 0 && (
+          <div className="flex items-center gap-2 px-6 py-2 border-b border-amber-100 bg-amber-50 text-xs font-semibold text-amber-700">
+            <AlertTriangle size={14} className="shrink-0" />
+            Partial result, missing: {task.missingFields.map(getResultFieldLabel).join(', ')}
+          </div>
+        )}
+
         {/* Toolbar */}
         <div className="flex items-center justify-between px-6 py-3 border-b border-gray-100 bg-gray-50/50">
           <div className="flex bg-gray-200/60 p-1 rounded-lg">
@@ -64,6 +90,16 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
             >
               <FileJson size={16} /> JSON
             </button>
+            {onLoadHistory && (
+              <button
+                onClick={() => setViewMode('history')}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-semibold transition-all shadow-sm ${
+                  viewMode === 'history' ? 'bg-white text-gray-900 shadow-gray-200' : 'text-gray-500 hover:text-gray-700 shadow-transparent bg-transparent'
+                }`}
+              >
+                <History size={16} /> History
+              </button>
+            )}
           </div>
           <button
             onClick={handleCopy}
@@ -98,9 +134,22 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                             {[task.result.cityName, task.result.regionName, task.result.countryName]
                               .filter(Boolean)
                               .join(', ')}
+                            {task.result.postalCode && ` ${task.result.postalCode}`}
                           </span>
                         </div>
                       )}
+                      {task.result.latitude != null && task.result.longitude != null && (
+                        <div className="flex items-center gap-2 text-sm text-gray-500 pl-5">
+                          <a
+                            href={`https://www.google.com/maps?q=${task.result.latitude},${task.result.longitude}`}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="font-mono text-xs text-blue-600 hover:underline"
+                          >
+                            {task.result.latitude.toFixed(6)}, {task.result.longitude.toFixed(6)}
+                          </a>
+                        </div>
+                      )}
                     </div>
                   </div>
                   <div className="text-right">
@@ -111,6 +160,15 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                         <span className="text-xs text-gray-500">stars</span>
                       </div>
                     )}
+                    {task.result.reviewSummary?.score != null && (
+                      <div className="mt-2 bg-blue-50 px-3 py-2 rounded-lg border border-blue-200">
+                        <div className="text-lg font-bold text-blue-700">{task.result.reviewSummary.score}</div>
+                        <div className="text-xs text-gray-500">
+                          {task.result.reviewSummary.label || 'Guest score'}
+                          {task.result.reviewSummary.reviewCount != null && ` · ${task.result.reviewSummary.reviewCount} reviews`}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -123,27 +181,43 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                     <h3 className="text-sm font-bold text-gray-900">About</h3>
                   </div>
                   <div
-                    className="text-sm text-gray-700 leading-relaxed"
+                    className="text-sm text-gray-700 leading-relaxed space-y-2"
                     dangerouslySetInnerHTML={{ __html: task.result.about }}
                   />
                 </div>
               )}
 
               {/* Facilities */}
-              {task.result.facilities && task.result.facilities.length > 0 && (
+              {facilityGroups.length > 0 && (
                 <div className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
                   <div className="flex items-center gap-2 mb-3">
                     <Home size={16} className="text-purple-600" />
                     <h3 className="text-sm font-bold text-gray-900">Facilities</h3>
                     <span className="bg-purple-100 text-purple-700 text-xs px-2 py-0.5 rounded-full font-semibold">
-                      {task.result.facilities.length}
+                      {facilityCount}
                     </span>
                   </div>
-                  <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
-                    {task.result.facilities.map((facility, idx) => (
-                      <div key={idx} className="flex items-center gap-2 text-sm text-gray-700 bg-gray-50 px-3 py-2 rounded-lg">
-                        <div className="w-1.5 h-1.5 rounded-full bg-purple-500" />
-                        {facility}
+                  <div className="space-y-4">
+                    {facilityGroups.map((group, groupIdx) => (
+                      <div key={groupIdx}>
+                        {group.name && (
+                          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">{group.name}</h4>
+                        )}
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                          {group.items.map((item, idx) => (
+                            <div
+                              key={idx}
+                              className={`flex items-center gap-2 text-sm px-3 py-2 rounded-lg ${item.popular ? 'text-purple-800 bg-purple-50 font-medium' : 'text-gray-700 bg-gray-50'}`}
+                              title={item.popular ? 'Most popular facility' : undefined}
+                            >
+                              <div className="w-1.5 h-1.5 rounded-full bg-purple-500 shrink-0" />
+                              <span>
+                                {item.name}
+                                {item.note && <span className="ml-1 text-xs text-gray-500">({item.note})</span>}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -157,26 +231,139 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                     <ShieldCheck size={16} className="text-green-600" />
                     <h3 className="text-sm font-bold text-gray-900">House Rules</h3>
                   </div>
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    {task.result.houseRules.checkIn && (
-                      <div>
-                        <div className="text-xs font-bold text-gray-500 uppercase mb-1">Check-in</div>
-                        <div className="text-sm text-gray-700">{task.result.houseRules.checkIn}</div>
-                      </div>
-                    )}
-                    {task.result.houseRules.checkOut && (
-                      <div>
-                        <div className="text-xs font-bold text-gray-500 uppercase mb-1">Check-out</div>
-                        <div className="text-sm text-gray-700">{task.result.houseRules.checkOut}</div>
-                      </div>
+                  {task.result.houseRules.rules && task.result.houseRules.rules.length > 0 ? (
+                    <div className="divide-y divide-gray-100">
+                      {task.result.houseRules.rules.map((rule, idx) => {
+                        const time = rule.key === 'checkIn' ? task.result!.houseRules!.checkInTime
+                          : rule.key === 'checkOut' ? task.result!.houseRules!.checkOutTime
+                          : undefined;
+                        return (
+                          <div key={idx} className="grid grid-cols-1 md:grid-cols-4 gap-2 py-2">
+                            <div className="text-xs font-bold text-gray-500 uppercase" title={rule.key}>{rule.label}</div>
+                            <div className="md:col-span-3 text-sm text-gray-700 whitespace-pre-line">
+                              {rule.value}
+                              {time && (
+                                <span className="ml-2 text-xs font-mono text-green-700 bg-green-50 px-1.5 py-0.5 rounded">
+                                  {time.from || '…'} – {time.until || '…'}
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {task.result.houseRules.checkIn && (
+                        <div>
+                          <div className="text-xs font-bold text-gray-500 uppercase mb-1">Check-in</div>
+                          <div className="text-sm text-gray-700">{task.result.houseRules.checkIn}</div>
+                        </div>
+                      )}
+                      {task.result.houseRules.checkOut && (
+                        <div>
+                          <div className="text-xs font-bold text-gray-500 uppercase mb-1">Check-out</div>
+                          <div className="text-sm text-gray-700">{task.result.houseRules.checkOut}</div>
+                        </div>
+                      )}
+                      {task.result.houseRules.pets && (
+                        <div>
+                          <div className="text-xs font-bold text-gray-500 uppercase mb-1">Pets</div>
+                          <div className="text-sm text-gray-700">{task.result.houseRules.pets}</div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Rooms */}
+              {task.result.rooms && task.result.rooms.length > 0 && (
+                <div className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="flex items-center gap-2 mb-3">
+                    <BedDouble size={16} className="text-indigo-600" />
+                    <h3 className="text-sm font-bold text-gray-900">Rooms</h3>
+                    <span className="bg-indigo-100 text-indigo-700 text-xs px-2 py-0.5 rounded-full font-semibold">
+                      {task.result.rooms.length}
+                    </span>
+                    {task.result.stay && (
+                      <span className="text-xs text-gray-400 ml-auto">
+                        {task.result.stay.checkIn} → {task.result.stay.checkOut} · {task.result.stay.adults} adults
+                      </span>
                     )}
-                    {task.result.houseRules.pets && (
-                      <div>
-                        <div className="text-xs font-bold text-gray-500 uppercase mb-1">Pets</div>
-                        <div className="text-sm text-gray-700">{task.result.houseRules.pets}</div>
-                      </div>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                      <thead className="text-xs font-bold text-gray-500 uppercase border-b border-gray-100">
+                        <tr>
+                          <th className="py-2 pr-4">Room</th>
+                          <th className="py-2 pr-4">Guests</th>
+                          <th className="py-2 pr-4">Price</th>
+                          <th className="py-2 pr-4">Meals</th>
+                          <th className="py-2">Cancellation</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-50">
+                        {task.result.rooms.map((room, idx) => (
+                          <tr key={idx} className="align-top text-gray-700">
+                            <td className="py-2 pr-4">
+                              <div className="font-semibold">{room.roomType}</div>
+                              {room.bedConfig && <div className="text-xs text-gray-400">{room.bedConfig}</div>}
+                            </td>
+                            <td className="py-2 pr-4">{room.occupancy ?? '-'}</td>
+                            <td className="py-2 pr-4 font-semibold whitespace-nowrap">{room.priceText}</td>
+                            <td className="py-2 pr-4 text-xs">{room.mealPlan || '-'}</td>
+                            <td className="py-2 text-xs">{room.cancellationPolicy || '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Reviews */}
+              {task.result.reviewSummary && (task.result.reviewSummary.categories.length > 0 || (task.result.reviews?.length || 0) > 0) && (
+                <div className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="flex items-center gap-2 mb-3">
+                    <ThumbsUp size={16} className="text-blue-600" />
+                    <h3 className="text-sm font-bold text-gray-900">Guest Reviews</h3>
+                    {task.result.reviews && (
+                      <span className="bg-blue-100 text-blue-700 text-xs px-2 py-0.5 rounded-full font-semibold">
+                        {task.result.reviews.length}
+                      </span>
                     )}
                   </div>
+                  {task.result.reviewSummary.categories.length > 0 && (
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-2 mb-4">
+                      {task.result.reviewSummary.categories.map((category, idx) => (
+                        <div key={idx}>
+                          <div className="flex justify-between text-xs text-gray-600 mb-1">
+                            <span>{category.name}</span>
+                            <span className="font-bold">{category.score}</span>
+                          </div>
+                          <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-blue-500" style={{ width: `${Math.min(100, category.score * 10)}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {task.result.reviews && task.result.reviews.length > 0 && (
+                    <div className="space-y-3 max-h-96 overflow-auto">
+                      {task.result.reviews.map((review, idx) => (
+                        <div key={idx} className="border-l-2 border-blue-300 pl-4 py-2">
+                          <div className="flex items-center gap-2 text-xs text-gray-400 mb-1">
+                            {review.score != null && <span className="font-bold text-blue-700">{review.score}</span>}
+                            {[review.date, review.reviewerCountry, review.language].filter(Boolean).join(' · ')}
+                          </div>
+                          {review.title && <div className="font-semibold text-sm text-gray-900 mb-1">{review.title}</div>}
+                          {review.positive && <div className="text-sm text-gray-600">+ {review.positive}</div>}
+                          {review.negative && <div className="text-sm text-gray-500">− {review.negative}</div>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -201,6 +388,59 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                 </div>
               )}
 
+              {/* Other languages */}
+              {localized && (
+                <div className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
+                  <div className="flex items-center gap-2 mb-3">
+                    <Languages size={16} className="text-teal-600" />
+                    <h3 className="text-sm font-bold text-gray-900">Languages</h3>
+                    <div className="ml-auto flex bg-gray-100 p-0.5 rounded-lg">
+                      {languages.map(code => (
+                        <button
+                          key={code}
+                          onClick={() => setLanguage(code)}
+                          className={`px-2.5 py-1 rounded-md text-xs font-semibold transition-all ${
+                            code === activeLanguage ? 'bg-white text-teal-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                          }`}
+                        >
+                          {code}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <a href={localized.url} target="_blank" rel="noreferrer" className="block text-xs text-blue-600 hover:underline truncate mb-3">
+                    {localized.url}
+                  </a>
+                  <div className="space-y-4">
+                    {localized.about ? (
+                      <div
+                        className="text-sm text-gray-700 leading-relaxed space-y-2"
+                        dangerouslySetInnerHTML={{ __html: localized.about }}
+                      />
+                    ) : (
+                      <p className="text-xs text-gray-400">No description in this language.</p>
+                    )}
+                    {getFacilityList(localized).length > 0 && (
+                      <div className="flex flex-wrap gap-1.5">
+                        {getFacilityList(localized).map((facility, idx) => (
+                          <span key={idx} className="text-xs text-gray-700 bg-gray-50 px-2 py-1 rounded-md">{facility}</span>
+                        ))}
+                      </div>
+                    )}
+                    {localized.faqs.length > 0 && (
+                      <div className="space-y-2">
+                        {localized.faqs.map((faq, idx) => (
+                          <div key={idx} className="border-l-2 border-teal-300 pl-4 py-1">
+                            <div className="font-semibold text-sm text-gray-900 mb-1">{faq.question}</div>
+                            <div className="text-sm text-gray-600">{faq.answer}</div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Gallery Preview */}
               {task.result.images && task.result.images.length > 0 && (
                 <div className="bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
@@ -210,6 +450,29 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                     <span className="bg-blue-100 text-blue-700 text-xs px-2 py-0.5 rounded-full font-semibold">
                       {task.result.images.length}
                     </span>
+                    {task.result.localImages && task.result.localImages.length > 0 && (
+                      <div className="ml-auto flex items-center gap-2">
+                        <span className="text-xs text-gray-500">
+                          {task.result.localImages.length} saved · {formatBytes(task.result.localImages.reduce((sum, img) => sum + img.bytes, 0))}
+                        </span>
+                        {onOpenImageFolder && (
+                          <button
+                            onClick={() => onOpenImageFolder(task.id)}
+                            className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-semibold bg-white text-gray-600 border border-gray-200 hover:border-blue-300 hover:text-blue-600 transition-all"
+                          >
+                            <FolderOpen size={12} /> Open folder
+                          </button>
+                        )}
+                        {onExportImages && (
+                          <button
+                            onClick={() => onExportImages([task.id])}
+                            className="flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-semibold bg-white text-gray-600 border border-gray-200 hover:border-blue-300 hover:text-blue-600 transition-all"
+                          >
+                            <FileArchive size={12} /> Download ZIP
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                   <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3">
                     {task.result.images.map((img, idx) => (
@@ -224,6 +487,8 @@ const ResultModal: React.FC<ResultModalProps> = ({ task, onClose }) => {
                 </div>
               )}
             </div>
+          ) : viewMode === 'history' && onLoadHistory ? (
+            <ResultHistory url={task.url} currentTaskId={task.id} loadHistory={onLoadHistory} />
           ) : (
             <div className="relative">
                 <pre className="font-mono text-xs text-blue-700 whitespace-pre-wrap break-all bg-white p-5 rounded-xl border border-gray-200 shadow-sm">
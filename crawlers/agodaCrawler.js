@@ -0,0 +1,473 @@
+import BaseCrawler, { flattenFacilities } from './baseCrawler.js';
+import { INLINE_TAGS, extractRichText, richTextFromPlain } from './richText.js';
+import { buildHouseRules } from './houseRules.js';
+
+/**
+ * Agoda Hotel Crawler
+ * Crawls hotel information from Agoda property pages. Selectors were written
+ * against the saved page in crawlers/fixtures/agoda/.
+ */
+
+// Locale prefixes for languages whose country code differs from the language code
+const AGODA_LOCALES = {
+  en: 'en-us',
+  vi: 'vi-vn',
+  ja: 'ja-jp',
+  ko: 'ko-kr',
+  zh: 'zh-cn',
+  da: 'da-dk',
+  sv: 'sv-se',
+  cs: 'cs-cz',
+  el: 'el-gr',
+  he: 'he-il',
+  ms: 'ms-my',
+};
+
+class AgodaCrawler extends BaseCrawler {
+  /**
+   * Without the `s=WxH` resize parameter the CDN serves the original photo
+   */
+  static getFullSizeImageUrl(url) {
+    const imageUrl = new URL(url);
+    imageUrl.searchParams.delete('s');
+    return imageUrl.toString();
+  }
+
+  /**
+   * Language variants use a locale path prefix: agoda.com/vi-vn/<hotel>/hotel/...
+   * Two-letter languages are expanded to Agoda's usual locale (vi -> vi-vn).
+   */
+  static getLocalizedUrl(url, language) {
+    const code = language.toLowerCase();
+    const locale = code.includes('-') ? code : AGODA_LOCALES[code] || `${code}-${code}`;
+    const localized = new URL(url);
+    localized.pathname = `/${locale}${localized.pathname.replace(/^\/[a-z]{2}-[a-z]{2}(?=\/)/i, '')}`;
+    return localized.toString();
+  }
+
+  /**
+   * Get hotel name
+   */
+  async getHotelName(schemaData = null) {
+    if (schemaData && schemaData.name) {
+      this.recordField('name', 'schema');
+      return schemaData.name;
+    }
+
+    try {
+      const match = await this.page.evaluate(() => {
+        for (const selector of ['[data-selenium="hotel-header-name"]', 'h1[data-element-name="property-name"]']) {
+          const element = document.querySelector(selector);
+          if (element) {
+            return { value: element.textContent.trim(), selector };
+          }
+        }
+        return null;
+      });
+      this.recordField('name', match && 'fallback', match && match.selector);
+      return match ? match.value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get hotel address
+   */
+  async getAddress(schemaData = null) {
+    const addr = schemaData && schemaData.address;
+    if (addr && (typeof addr === 'string' || addr.streetAddress)) {
+      this.recordField('address', 'schema');
+      return typeof addr === 'string' ? addr : addr.streetAddress;
+    }
+
+    try {
+      const match = await this.page.evaluate(() => {
+        for (const selector of ['[data-selenium="hotel-address-map"]', '[data-element-name="property-address"]']) {
+          const element = document.querySelector(selector);
+          if (element) {
+            return { value: element.textContent.replace(/\s+/g, ' ').trim(), selector };
+          }
+        }
+        return null;
+      });
+      this.recordField('address', match && 'fallback', match && match.selector);
+      return match ? match.value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get city, region and country from the schema address
+   */
+  getLocationDetails(schemaData = null) {
+    const addr = (schemaData && schemaData.address) || {};
+    const country = addr.addressCountry;
+    return {
+      cityName: addr.addressLocality || null,
+      regionName: addr.addressRegion || null,
+      countryName: (country && typeof country === 'object' ? country.name : country) || null,
+    };
+  }
+
+  /**
+   * Get the schema.org PostalAddress as a plain object
+   */
+  getPostalAddress(schemaData = null) {
+    const addr = schemaData && schemaData.address;
+    if (!addr || typeof addr !== 'object') {
+      return null;
+    }
+
+    const location = this.getLocationDetails(schemaData);
+    return {
+      streetAddress: addr.streetAddress || null,
+      addressLocality: location.cityName,
+      addressRegion: location.regionName,
+      postalCode: addr.postalCode ? String(addr.postalCode).trim() : null,
+      addressCountry: location.countryName,
+    };
+  }
+
+  /**
+   * Get latitude/longitude from schema geo or the map element
+   */
+  async getCoordinates(schemaData = null) {
+    const mapSelector = '[data-selenium="hotel-map"][data-lat]';
+    let raw = schemaData && schemaData.geo
+      ? { lat: schemaData.geo.latitude, lng: schemaData.geo.longitude }
+      : null;
+    let source = raw && 'schema';
+
+    if (!raw) {
+      try {
+        raw = await this.page.evaluate((selector) => {
+          const map = document.querySelector(selector);
+          return map ? { lat: map.getAttribute('data-lat'), lng: map.getAttribute('data-lng') } : null;
+        }, mapSelector);
+        source = raw && 'fallback';
+      } catch (error) {
+        raw = null;
+      }
+    }
+
+    const latitude = raw ? parseFloat(raw.lat) : NaN;
+    const longitude = raw ? parseFloat(raw.lng) : NaN;
+    const found = !Number.isNaN(latitude) && !Number.isNaN(longitude);
+    this.recordField('coordinates', found && source, found && source === 'fallback' && mapSelector);
+    return found ? { latitude, longitude } : null;
+  }
+
+  /**
+   * Get star rating (classification)
+   */
+  async getRating(schemaData = null) {
+    if (schemaData && schemaData.starRating && schemaData.starRating.ratingValue) {
+      this.recordField('rating', 'schema');
+      return parseFloat(schemaData.starRating.ratingValue);
+    }
+
+    try {
+      const match = await this.page.evaluate(() => {
+        for (const selector of ['[data-testid="rating-container"]', '[data-selenium="hotel-star-rating"]']) {
+          const element = document.querySelector(selector);
+          const stars = element && (element.getAttribute('aria-label') || element.textContent).match(/(\d+(?:\.\d)?)\s*star/i);
+          if (stars) {
+            return { value: parseFloat(stars[1]), selector };
+          }
+        }
+        return null;
+      });
+      this.recordField('rating', match && 'fallback', match && match.selector);
+      return match ? match.value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get guest review score and category sub-scores
+   */
+  async getReviewSummary(schemaData = null) {
+    try {
+      const scraped = await this.page.evaluate(() => {
+        const result = { score: null, reviewCount: null, label: null, categories: [], selector: null };
+
+        const scoreSelector = '[data-selenium="hotel-header-review-score"] [data-selenium="review-score"], [data-element-name="review-score"]';
+        const scoreEl = document.querySelector(scoreSelector);
+        if (scoreEl) {
+          result.selector = scoreSelector;
+          const match = scoreEl.textContent.match(/\d+(?:[.,]\d+)?/);
+          result.score = match ? parseFloat(match[0].replace(',', '.')) : null;
+        }
+
+        const labelEl = document.querySelector('[data-selenium="review-score-label"]');
+        result.label = labelEl ? labelEl.textContent.trim() : null;
+
+        const countEl = document.querySelector('[data-selenium="review-count"]');
+        if (countEl) {
+          const match = countEl.textContent.match(/[\d,.]+/);
+          result.reviewCount = match ? parseInt(match[0].replace(/[,.]/g, ''), 10) : null;
+        }
+
+        document.querySelectorAll('[data-element-name="review-grade"]').forEach(el => {
+          const name = el.querySelector('[data-selenium="grade-name"]');
+          const score = el.querySelector('[data-selenium="grade-score"]');
+          if (name && score) {
+            result.categories.push({ name: name.textContent.trim(), score: parseFloat(score.textContent.replace(',', '.')) });
+            result.selector = result.selector || '[data-element-name="review-grade"]';
+          }
+        });
+
+        return result;
+      });
+      const { selector, ...summary } = scraped;
+      let source = selector && 'primary';
+
+      const aggregate = schemaData && schemaData.aggregateRating;
+      if (aggregate) {
+        if (aggregate.ratingValue) {
+          summary.score = parseFloat(aggregate.ratingValue);
+          source = 'schema';
+        }
+        if (aggregate.reviewCount) summary.reviewCount = parseInt(aggregate.reviewCount, 10);
+      }
+
+      const found = summary.score !== null || summary.categories.length > 0;
+      this.recordField('reviewSummary', found && source, found && source === 'primary' && selector);
+      return found ? summary : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get hotel description as { html, text } (see richText.js)
+   */
+  async getAbout(schemaData = null) {
+    try {
+      const about = await this.page.evaluate(
+        extractRichText,
+        ['[data-element-name="abouthotel-description"]', '[data-selenium="hotel-description"]'],
+        INLINE_TAGS
+      );
+      if (about) {
+        this.recordField('about', 'primary', about.selector);
+        return { html: about.html, text: about.text };
+      }
+
+      const fromSchema = richTextFromPlain(schemaData && schemaData.description);
+      this.recordField('about', fromSchema && 'schema');
+      return fromSchema;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get facilities grouped by category: [{ name, items: [{ name, note, popular }] }]
+   * Bracketed qualifiers ("Swimming pool [outdoor]") become the note, and
+   * `popular` marks items also listed among the top amenities.
+   */
+  async getFacilities() {
+    try {
+      const { facilities, source, selector } = await this.page.evaluate(() => {
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const split = (text) => {
+          const match = text.match(/^(.+?)\s*\[(.+)\]$/);
+          return match ? { name: match[1], note: match[2] } : { name: text, note: null };
+        };
+
+        const topAmenities = Array.from(document.querySelectorAll('[data-element-name="atf-top-amenities-item"]'))
+          .map(el => clean(el.textContent))
+          .filter(Boolean);
+        const popular = new Set(topAmenities.map(text => split(text).name));
+
+        const toGroup = (name, texts) => {
+          const items = [];
+          texts.forEach(text => {
+            const item = split(text);
+            if (item.name && !items.some(existing => existing.name === item.name)) {
+              items.push({ ...item, popular: popular.has(item.name) });
+            }
+          });
+          return { name, items };
+        };
+
+        const groupSelector = '[data-element-name="facility-group"]';
+        const groups = Array.from(document.querySelectorAll(groupSelector))
+          .map(container => {
+            const heading = container.querySelector('h3, h4');
+            const texts = Array.from(container.querySelectorAll('li')).map(li => clean(li.textContent));
+            return toGroup(heading ? clean(heading.textContent) || null : null, texts);
+          })
+          .filter(group => group.items.length > 0);
+
+        if (groups.length > 0) {
+          return { facilities: groups, source: 'primary', selector: groupSelector };
+        }
+
+        // Older layouts have a single list without categories
+        const listSelector = '[data-selenium="available-facilities"] li';
+        const texts = Array.from(document.querySelectorAll(listSelector)).map(li => clean(li.textContent));
+        const group = toGroup(null, texts.length > 0 ? texts : topAmenities);
+        return group.items.length > 0
+          ? { facilities: [group], source: 'fallback', selector: texts.length > 0 ? listSelector : '[data-element-name="atf-top-amenities-item"]' }
+          : { facilities: [], source: null, selector: null };
+      });
+      this.recordField('facilities', source, selector);
+      return facilities;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get every property policy as { key, label, value }, plus check-in/check-out times
+   */
+  async getHouseRules() {
+    try {
+      const selector = '[data-element-name="property-policy-item"]';
+      const sections = await this.page.evaluate((selector) => {
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        return Array.from(document.querySelectorAll(selector))
+          .map(item => ({
+            label: clean((item.querySelector('[data-selenium="policy-label"]') || {}).textContent),
+            value: clean((item.querySelector('[data-selenium="policy-value"]') || {}).textContent),
+          }));
+      }, selector);
+      const houseRules = buildHouseRules(sections);
+      this.recordField('houseRules', houseRules && 'primary', houseRules && selector);
+      return houseRules;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get images from the photo mosaic, falling back to schema images
+   */
+  async getImages(schemaData = null) {
+    const selectors = [
+      '[data-element-name="hotel-mosaic"] img',
+      'img[data-element-name="hotel-gallery-image"]',
+    ];
+    const images = await this.getImagesFromSelectors(selectors);
+    if (images.length > 0) {
+      this.recordField('images', 'primary', selectors.join(', '));
+      return images;
+    }
+
+    const schemaImages = schemaData && schemaData.image;
+    const fromSchema = schemaImages
+      ? (Array.isArray(schemaImages) ? schemaImages : [schemaImages]).map(img => (typeof img === 'string' ? img : img.url)).filter(Boolean)
+      : [];
+    this.recordField('images', fromSchema.length > 0 && 'schema');
+    return fromSchema;
+  }
+
+  /**
+   * Crawl all hotel information
+   * @param {string} url - hotel page URL
+   * @param {Object} options - { stay } is accepted for parity but rooms are not extracted on Agoda,
+   *   { languages } to also extract about/facilities from those language variants
+   */
+  async crawlHotel(url, { stay = null, languages = [] } = {}) {
+    try {
+      if (!this.page) {
+        await this.init();
+      }
+
+      this.report('navigation', 5, `Navigating to ${url}...`);
+      await this.openPage(url);
+
+      this.report('scroll', 15, 'Scrolling page to load lazy sections...');
+      await this.autoScroll();
+
+      this.report('schema', 25, 'Reading JSON-LD schema...');
+      const schemaData = await this.getSchemaData();
+      this.report('schema', 30, schemaData ? `Schema found (${schemaData['@type']})` : 'No hotel schema found, using DOM selectors', schemaData ? 'info' : 'warning');
+
+      this.report('details', 35, 'Extracting name, address and rating...');
+      const [name, address, rating, reviewSummary, coordinates] = await Promise.all([
+        this.getHotelName(schemaData),
+        this.getAddress(schemaData),
+        this.getRating(schemaData),
+        this.getReviewSummary(schemaData),
+        this.getCoordinates(schemaData),
+      ]);
+      const locationDetails = this.getLocationDetails(schemaData);
+      const postalAddress = this.getPostalAddress(schemaData);
+      this.report('details', 40, `Name: ${name || 'not found'} | Rating: ${rating ?? 'not found'}`, name ? 'info' : 'warning');
+
+      this.report('about', 45, 'Extracting description...');
+      const about = await this.getAbout(schemaData);
+      this.report('about', 50, about ? `Description: ${about.text.length} chars` : 'Description not found', about ? 'info' : 'warning');
+
+      this.report('facilities', 55, 'Extracting facilities...');
+      const facilities = await this.getFacilities();
+      const facilityList = flattenFacilities(facilities);
+      this.report('facilities', 60, `Facilities: ${facilityList.length} in ${facilities.length} groups`, facilities.length ? 'info' : 'warning');
+
+      this.report('houseRules', 65, 'Extracting house rules...');
+      const houseRules = await this.getHouseRules();
+      this.report('houseRules', 70, houseRules ? `House rules: ${houseRules.rules.map(rule => rule.key).join(', ')}` : 'House rules not found', houseRules ? 'info' : 'warning');
+
+      if (stay) {
+        this.report('rooms', 80, 'Room extraction is not supported on Agoda yet', 'warning');
+      }
+
+      this.report('gallery', 85, 'Collecting images...');
+      const images = await this.getImages(schemaData);
+      this.report('gallery', 98, `Images: ${images.length}`, images.length ? 'info' : 'warning');
+
+      let locales;
+      if (languages.length > 0) {
+        locales = await this.crawlLocales(url, languages, {
+          about: about ? about.html : null,
+          aboutText: about ? about.text : null,
+          facilities,
+          facilityList,
+          faqs: [],
+        });
+      }
+
+      return {
+        url,
+        site: AgodaCrawler.siteId,
+        name,
+        address,
+        latitude: coordinates ? coordinates.latitude : null,
+        longitude: coordinates ? coordinates.longitude : null,
+        postalCode: postalAddress ? postalAddress.postalCode : null,
+        postalAddress,
+        rating,
+        reviewSummary,
+        facilities,
+        facilityList,
+        faqs: [],
+        about: about ? about.html : null,
+        aboutText: about ? about.text : null,
+        houseRules,
+        images,
+        cityName: locationDetails.cityName,
+        regionName: locationDetails.regionName,
+        countryName: locationDetails.countryName,
+        hotelAreaInfo: [],
+        locales,
+        diagnostics: { ...this.diagnostics },
+        crawledAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw this.toCrawlError(error);
+    }
+  }
+}
+
+AgodaCrawler.siteId = 'agoda';
+AgodaCrawler.siteName = 'Agoda';
+// e.g. https://www.agoda.com/mekong-lodge/hotel/cai-be-vn.html or /vi-vn/mekong-lodge/hotel/...
+AgodaCrawler.urlPatterns = [/^https?:\/\/([a-z0-9-]+\.)*agoda\.com\/([a-z]{2}-[a-z]{2}\/)?[^/]+\/hotel\//i];
+
+export default AgodaCrawler;
@@ -0,0 +1,477 @@
+import puppeteer from 'puppeteer';
+import { DEFAULT_USER_AGENT } from './userAgents.js';
+import { CrawlCancelledError, CrawlBlockedError } from './errors.js';
+import { getSelectorProfile } from './selectorProfile.js';
+import { BLOCK_SELECTORS, BLOCK_TITLES, findBlockMarker } from './blockDetection.js';
+
+/**
+ * Base class for site crawlers
+ * Handles browser launch, page setup, navigation, block page detection,
+ * scrolling, JSON-LD schema, progress reporting and cancellation. Site adapters extend it, declare the
+ * URLs they handle in `urlPatterns` and implement `crawlHotel(url, options)`.
+ */
+
+/**
+ * Build puppeteer launch options from crawler options
+ */
+export function getLaunchOptions(options = {}) {
+  const { width, height } = options.viewport || { width: 1920, height: 1080 };
+  const launchOptions = {
+    headless: options.headless !== false,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      `--window-size=${width},${height}`,
+    ],
+  };
+
+  // If executablePath is provided, use local Chrome
+  if (options.executablePath) {
+    launchOptions.executablePath = options.executablePath;
+  }
+
+  // If userDataDir is provided, use existing Chrome profile
+  if (options.userDataDir) {
+    launchOptions.userDataDir = options.userDataDir;
+  }
+
+  // Route all traffic through a proxy; credentials are sent by setupPage()
+  if (options.proxy && options.proxy.server) {
+    launchOptions.args.push(`--proxy-server=${options.proxy.server}`);
+  }
+
+  return launchOptions;
+}
+
+/**
+ * Unique facility names across groups, in page order
+ * @param {{ name: string|null, items: { name: string }[] }[]} groups - as returned by getFacilities()
+ */
+export function flattenFacilities(groups) {
+  const names = [];
+  for (const group of groups) {
+    for (const item of group.items) {
+      if (!names.includes(item.name)) names.push(item.name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Amount from a displayed price, whatever the locale's separators
+ * "VND 1,450,000" -> 1450000, "₫ 1.234.567" -> 1234567, "€ 1.234,50" -> 1234.5.
+ * The last "." or "," followed by 1-2 digits is the decimal separator; every
+ * other separator (including spaces) groups thousands.
+ * @param {string|null} text - price as shown on the page
+ * @returns {number|null}
+ */
+export function parsePrice(text) {
+  const match = (text || '').match(/\d+(?:[.,]\d+|[\s']\d{3}(?!\d))*/);
+  if (!match) return null;
+
+  const number = match[0].replace(/[\s']/g, '');
+  const decimal = number.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? number.slice(0, -decimal[0].length) : number).replace(/[.,]/g, '');
+  const value = parseFloat(decimal ? `${whole}.${decimal[1]}` : whole);
+  return Number.isNaN(value) ? null : value;
+}
+
+class BaseCrawler {
+  constructor(options = {}) {
+    this.options = {
+      headless: options.headless !== false, // Default true
+      timeout: options.timeout || 30000,
+      executablePath: options.executablePath || null, // Path to Chrome executable
+      userDataDir: options.userDataDir || null, // Chrome user data directory
+      userAgent: options.userAgent || DEFAULT_USER_AGENT,
+      viewport: options.viewport || { width: 1920, height: 1080 },
+      acceptLanguage: options.acceptLanguage || null, // Accept-Language header, browser default if null
+      onProgress: options.onProgress || null, // ({ stage, progress, message, type }) => void
+      signal: options.signal || null, // AbortSignal, checked between crawl steps
+      proxy: options.proxy || null, // { server, username, password }, e.g. { server: 'http://1.2.3.4:8080' }
+      onBlocked: options.onBlocked || null, // ({ reason, url }) => Promise<boolean>, true once the challenge is solved
+      ...options
+    };
+    // Selector chains from crawlers/selectors/<siteId>.json, null for sites without a profile
+    this.selectors = options.selectors || (this.constructor.siteId ? getSelectorProfile(this.constructor.siteId) : null);
+    this.diagnostics = {}; // field -> { source, selector }, filled by recordField()
+    this.browser = null;
+    this.page = null;
+  }
+
+  /**
+   * Whether this crawler handles the given URL
+   */
+  static matches(url) {
+    return (this.urlPatterns || []).some(pattern => pattern.test(url));
+  }
+
+  /**
+   * URL of the largest rendition of an image; adapters override this for their CDN
+   */
+  static getFullSizeImageUrl(url) {
+    return url;
+  }
+
+  /**
+   * URL of the same hotel page in another language, null when the site has no language variants
+   * @param {string} url - hotel page URL
+   * @param {string} language - e.g. 'vi', 'en-gb'
+   */
+  static getLocalizedUrl(url, language) {
+    return null;
+  }
+
+  /**
+   * Initialize browser and page
+   * When a page is passed in options (e.g. from BrowserPool), it is used
+   * instead of launching a dedicated browser; the pool applies the proxy
+   * to that page's context.
+   */
+  async init() {
+    if (this.options.page) {
+      this.page = this.options.page;
+    } else {
+      this.browser = await puppeteer.launch(getLaunchOptions(this.options));
+      this.page = await this.browser.newPage();
+    }
+
+    await this.setupPage();
+  }
+
+  /**
+   * Apply viewport, user agent and headers to the current page
+   */
+  async setupPage() {
+    // Set viewport
+    await this.page.setViewport(this.options.viewport);
+
+    // Set user agent to avoid bot detection
+    await this.page.setUserAgent(this.options.userAgent);
+
+    if (this.options.acceptLanguage) {
+      await this.page.setExtraHTTPHeaders({ 'Accept-Language': this.options.acceptLanguage });
+    }
+
+    // Answers the proxy's 407 challenge (Chrome does not support SOCKS credentials)
+    const { proxy } = this.options;
+    if (proxy && proxy.username) {
+      await this.page.authenticate({ username: proxy.username, password: proxy.password || '' });
+    }
+  }
+
+  /**
+   * Open a URL, failing fast on error pages (404, 5xx...) instead of scraping them
+   * 403 and 429 are how Booking/Agoda turn bots away, so they throw CrawlBlockedError.
+   */
+  async navigate(url, waitUntil = 'networkidle2') {
+    const response = await this.page.goto(url, {
+      waitUntil,
+      timeout: this.options.timeout
+    });
+
+    if (response && (response.status() === 403 || response.status() === 429)) {
+      throw new CrawlBlockedError(`HTTP ${response.status()}`, url, response.status());
+    }
+    if (response && response.status() >= 400) {
+      const error = new Error(`HTTP ${response.status()} for ${url}`);
+      error.httpStatus = response.status();
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Open a hotel page and make sure the site served the page, not a challenge
+   * Without the onBlocked option a block page throws CrawlBlockedError. With it
+   * (visible browser), the page stays open for the user to solve the challenge
+   * and is loaded again once onBlocked() resolves true.
+   */
+  async openPage(url) {
+    for (;;) {
+      let reason;
+      try {
+        await this.navigate(url);
+        await this.sleep(2000);
+        reason = await this.detectBlock();
+      } catch (error) {
+        if (error.code !== 'BLOCKED') throw error;
+        reason = error.reason;
+      }
+      if (!reason) return;
+
+      const blocked = new CrawlBlockedError(reason, url);
+      if (typeof this.options.onBlocked !== 'function') throw blocked;
+
+      this.report('navigation', 5, `Blocked (${reason}), waiting for the challenge to be solved in the browser window...`, 'warning');
+      const solved = await this.options.onBlocked({ reason, url });
+      this.throwIfAborted();
+      if (!solved) throw blocked;
+      this.report('navigation', 5, `Reloading ${url}...`);
+    }
+  }
+
+  /**
+   * Why the current page looks like a challenge or block page, null when it looks like a hotel page
+   * A page with neither hotel schema nor hotel name is treated as blocked too:
+   * scraping it would only produce an "Unknown Hotel".
+   */
+  async detectBlock() {
+    const marker = await this.page.evaluate(findBlockMarker, BLOCK_SELECTORS, BLOCK_TITLES);
+    if (marker) return marker;
+
+    const schemaData = await this.getSchemaData();
+    if (!schemaData && !(await this.getHotelName(null))) {
+      return 'no hotel schema and no hotel name';
+    }
+    return null;
+  }
+
+  /**
+   * Sleep/wait helper function
+   */
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Extract JSON-LD schema data from page
+   * @param {string[]} types - schema.org types to look for
+   */
+  async getSchemaData(types = ['Hotel', 'LodgingBusiness']) {
+    try {
+      const schemaData = await this.page.evaluate((types) => {
+        const isWanted = (item) => item && types.includes(item['@type']);
+        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        for (const script of scripts) {
+          try {
+            const data = JSON.parse(script.textContent);
+            if (isWanted(data)) {
+              return data;
+            }
+            // Sometimes it's wrapped in an array or graph
+            const items = Array.isArray(data) ? data : data['@graph'];
+            if (Array.isArray(items)) {
+              const hotelData = items.find(isWanted);
+              if (hotelData) return hotelData;
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+        return null;
+      }, types);
+      return schemaData;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Wait for element with timeout
+   */
+  async waitForElement(selector, timeout = this.options.timeout) {
+    try {
+      await this.page.waitForSelector(selector, { timeout });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Collect image URLs from the first selector that matches, without duplicates
+   * @param {string[]} selectors - img selectors, most specific first
+   */
+  async getImagesFromSelectors(selectors) {
+    try {
+      return await this.page.evaluate((selectors) => {
+        for (const selector of selectors) {
+          const result = [];
+          document.querySelectorAll(selector).forEach(img => {
+            const src = img.src || img.dataset.src || img.getAttribute('data-lazy-src');
+            if (src && src.startsWith('http') && !result.includes(src)) {
+              result.push(src);
+            }
+          });
+          if (result.length > 0) return result;
+        }
+        return [];
+      }, selectors);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Record where a field came from, so a selector that stops matching shows up per task
+   * @param {string} field - result field, e.g. 'facilities'
+   * @param {string|null} source - 'schema', 'primary', 'fallback', or null when nothing matched
+   * @param {string|null} selector - CSS selector that matched
+   */
+  recordField(field, source, selector = null) {
+    this.diagnostics[field] = { source: source || null, selector: selector || null };
+  }
+
+  /**
+   * Crawl description, facilities and FAQs for each language variant of a hotel page
+   * A language whose URL is the page already crawled reuses `current` instead of loading it again.
+   * Adapters without getFAQs() get an empty FAQ list.
+   * @param {string} url - hotel page URL as given to crawlHotel()
+   * @param {string[]} languages - e.g. ['vi', 'en-gb']
+   * @param {Object} current - { about, aboutText, facilities, facilityList, faqs } from the page already crawled
+   * @returns {Promise<Object>} language -> { url, about, aboutText, facilities, facilityList, faqs }
+   */
+  async crawlLocales(url, languages, current) {
+    const locales = {};
+    // Extractors record their selectors; keep the main page's diagnostics
+    const diagnostics = { ...this.diagnostics };
+
+    for (const language of languages) {
+      const localizedUrl = this.constructor.getLocalizedUrl(url, language);
+      if (!localizedUrl) {
+        this.report('locales', 99, `${this.constructor.siteName} has no "${language}" pages, skipped`, 'warning');
+        continue;
+      }
+      if (localizedUrl === new URL(url).toString()) {
+        locales[language] = { url, ...current };
+        continue;
+      }
+
+      this.report('locales', 99, `Crawling ${language} version...`);
+      try {
+        await this.openPage(localizedUrl);
+        await this.autoScroll();
+
+        const schemaData = await this.getSchemaData();
+        const about = await this.getAbout(schemaData);
+        const facilities = await this.getFacilities();
+        const facilityList = flattenFacilities(facilities);
+        const faqs = typeof this.getFAQs === 'function' ? await this.getFAQs() : [];
+        locales[language] = {
+          url: localizedUrl,
+          about: about ? about.html : null,
+          aboutText: about ? about.text : null,
+          facilities,
+          facilityList,
+          faqs,
+        };
+        this.report('locales', 99, `${language}: ${facilityList.length} facilities, ${faqs.length} FAQs${about ? '' : ', no description'}`, about ? 'info' : 'warning');
+      } catch (error) {
+        // One missing language must not lose the rest of the crawl, but a block stops it
+        this.throwIfAborted();
+        if (error.code === 'BLOCKED') throw error;
+        this.report('locales', 99, `${language} version failed: ${error.message}`, 'warning');
+      }
+    }
+
+    this.diagnostics = diagnostics;
+    return locales;
+  }
+
+  /**
+   * Hotel name from schema or page, null when there is none. Implemented by each site adapter.
+   */
+  async getHotelName(schemaData = null) {
+    return null;
+  }
+
+  /**
+   * Crawl all hotel information. Implemented by each site adapter.
+   * @returns {Promise<Object>} HotelData-shaped result
+   */
+  async crawlHotel(url, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement crawlHotel()`);
+  }
+
+  /**
+   * Throw CrawlCancelledError if the signal has been aborted
+   */
+  throwIfAborted() {
+    if (this.options.signal && this.options.signal.aborted) {
+      throw new CrawlCancelledError();
+    }
+  }
+
+  /**
+   * Convert whatever broke after an abort (closed page, detached frame) into a cancellation
+   */
+  toCrawlError(error) {
+    if (this.options.signal && this.options.signal.aborted) {
+      return error instanceof CrawlCancelledError ? error : new CrawlCancelledError();
+    }
+    return error;
+  }
+
+  /**
+   * Report crawl progress through the onProgress option
+   * @param {string} stage - navigation, scroll, schema, details, about, facilities, houseRules, faqs, areaInfo, rooms, gallery, reviews, locales
+   * @param {number} progress - 0 to 100
+   */
+  report(stage, progress, message, type = 'info') {
+    // Every stage boundary is a cancellation point
+    this.throwIfAborted();
+
+    if (typeof this.options.onProgress === 'function') {
+      try {
+        this.options.onProgress({ stage, progress, message, type });
+      } catch (error) {
+        // A broken listener must not fail the crawl
+      }
+    }
+  }
+
+  /**
+   * Auto scroll page to load lazy content
+   */
+  async autoScroll() {
+    await this.page.evaluate(async () => {
+      await new Promise((resolve) => {
+        let totalHeight = 0;
+        const distance = 100;
+        const timer = setInterval(() => {
+          const scrollHeight = document.body.scrollHeight;
+          window.scrollBy(0, distance);
+          totalHeight += distance;
+
+          if (totalHeight >= scrollHeight) {
+            clearInterval(timer);
+            resolve();
+          }
+        }, 100);
+      });
+    });
+
+    // Scroll back to top
+    await this.page.evaluate(() => window.scrollTo(0, 0));
+    await this.sleep(1000);
+  }
+
+  /**
+   * Close browser
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    } else if (this.page) {
+      // Borrowed page: close only the page, the pool owns the browser
+      const page = this.page;
+      this.page = null;
+      if (!page.isClosed()) {
+        await page.close();
+      }
+    }
+  }
+}
+
+// Subclasses set these: short id, display name and the URLs they handle
+BaseCrawler.siteId = null;
+BaseCrawler.siteName = null;
+BaseCrawler.urlPatterns = [];
+
+export default BaseCrawler;
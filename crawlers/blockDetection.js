@@ -0,0 +1,54 @@
+/**
+ * Challenge and block page detection
+ * Booking and Agoda answer suspected bots with a CAPTCHA or "access denied"
+ * page instead of the hotel page. Scraping those yields nulls that look like
+ * an empty hotel, so crawlers check for them right after navigation.
+ */
+
+// Elements only found on challenge pages (reCAPTCHA, hCaptcha, Cloudflare, AWS WAF, PerimeterX, DataDome)
+export const BLOCK_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  'iframe[src*="hcaptcha.com"]',
+  'iframe[src*="challenges.cloudflare.com"]',
+  'iframe[src*="captcha-delivery.com"]',
+  'iframe[src*="captcha"]',
+  '.g-recaptcha',
+  '.h-captcha',
+  '#challenge-container',
+  '#challenge-form',
+  '#challenge-running',
+  '#px-captcha',
+  'awswaf-captcha',
+];
+
+// Page titles of block pages; tested case-insensitively
+export const BLOCK_TITLES = [
+  'just a moment',
+  'attention required',
+  'access denied',
+  'are you a robot',
+  'verify you are human',
+  'human verification',
+  'security check',
+  'request blocked',
+  'pardon our interruption',
+  'captcha',
+];
+
+/**
+ * What gives the current document away as a block page, null when nothing does
+ * Runs inside the page: pass it to page.evaluate() with (BLOCK_SELECTORS, BLOCK_TITLES).
+ * @param {string[]} selectors - challenge elements
+ * @param {string[]} titles - lowercase title fragments
+ */
+export function findBlockMarker(selectors, titles) {
+  for (const selector of selectors) {
+    if (document.querySelector(selector)) {
+      return `challenge element ${selector}`;
+    }
+  }
+
+  const title = (document.title || '').trim().toLowerCase();
+  const matched = titles.find(fragment => title.includes(fragment));
+  return matched ? `block page "${document.title.trim()}"` : null;
+}
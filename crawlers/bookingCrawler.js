@@ -1,111 +1,61 @@
-import puppeteer from 'puppeteer';
+import BaseCrawler, { flattenFacilities, parsePrice } from './baseCrawler.js';
+import { CrawlCancelledError } from './errors.js';
+import { INLINE_TAGS, extractRichText, richTextFromPlain } from './richText.js';
+import { CHECK_IN_KEYWORDS, HOUSE_RULES_HEADINGS, buildHouseRules } from './houseRules.js';
 
 /**
  * Booking.com Hotel Crawler
  * Crawls hotel information from Booking.com
  */
 
-class BookingCrawler {
-  constructor(options = {}) {
-    this.options = {
-      headless: options.headless !== false, // Default true
-      timeout: options.timeout || 30000,
-      executablePath: options.executablePath || null, // Path to Chrome executable
-      userDataDir: options.userDataDir || null, // Chrome user data directory
-      ...options
-    };
-    this.browser = null;
-    this.page = null;
+/**
+ * Add stay parameters (dates, guests, currency) to a hotel URL
+ * @param {string} url - hotel page URL
+ * @param {Object} stay - { checkIn, checkOut, adults, children, rooms, currency }, dates as YYYY-MM-DD
+ */
+export function buildHotelUrl(url, stay = null) {
+  if (!stay || !stay.checkIn || !stay.checkOut) {
+    return url;
   }
 
-  /**
-   * Initialize browser and page
-   */
-  async init() {
-    const launchOptions = {
-      headless: this.options.headless,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920x1080',
-      ],
-    };
-
-    // If executablePath is provided, use local Chrome
-    if (this.options.executablePath) {
-      launchOptions.executablePath = this.options.executablePath;
-    }
-
-    // If userDataDir is provided, use existing Chrome profile
-    if (this.options.userDataDir) {
-      launchOptions.userDataDir = this.options.userDataDir;
-    }
-
-    this.browser = await puppeteer.launch(launchOptions);
-    this.page = await this.browser.newPage();
-
-    // Set viewport
-    await this.page.setViewport({ width: 1920, height: 1080 });
-
-    // Set user agent to avoid bot detection
-    await this.page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
+  const hotelUrl = new URL(url);
+  hotelUrl.searchParams.set('checkin', stay.checkIn);
+  hotelUrl.searchParams.set('checkout', stay.checkOut);
+  hotelUrl.searchParams.set('group_adults', String(stay.adults || 2));
+  hotelUrl.searchParams.set('group_children', String(stay.children || 0));
+  hotelUrl.searchParams.set('no_rooms', String(stay.rooms || 1));
+  if (stay.currency) {
+    hotelUrl.searchParams.set('selected_currency', stay.currency);
   }
+  return hotelUrl.toString();
+}
 
-  /**
-   * Sleep/wait helper function
-   */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+class BookingCrawler extends BaseCrawler {
+  constructor(options = {}) {
+    super({
+      reviewLimit: options.reviewLimit || 0, // Review texts to collect, 0 = scores only
+      ...options
+    });
   }
 
   /**
-   * Extract JSON-LD schema data from page
+   * Language variants use a suffix before .html: hotel/vn/foo.vi.html, hotel/vn/foo.en-gb.html
+   * A `lang` query parameter would override the suffix, so it is dropped.
    */
-  async getSchemaData() {
-    try {
-      const schemaData = await this.page.evaluate(() => {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of scripts) {
-          try {
-            const data = JSON.parse(script.textContent);
-            // Look for Hotel schema
-            if (data['@type'] === 'Hotel' || data['@type'] === 'LodgingBusiness') {
-              return data;
-            }
-            // Sometimes it's wrapped in an array or graph
-            if (data['@graph']) {
-              const hotelData = data['@graph'].find(item =>
-                item['@type'] === 'Hotel' || item['@type'] === 'LodgingBusiness'
-              );
-              if (hotelData) return hotelData;
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        }
-        return null;
-      });
-      return schemaData;
-    } catch (error) {
-      return null;
-    }
+  static getLocalizedUrl(url, language) {
+    const code = language.toLowerCase() === 'en' ? 'en-gb' : language.toLowerCase();
+    const localized = new URL(url);
+    if (!/\.html$/i.test(localized.pathname)) return null;
+    localized.pathname = localized.pathname.replace(/(\.[a-z]{2}(-[a-z]{2})?)?\.html$/i, `.${code}.html`);
+    localized.searchParams.delete('lang');
+    return localized.toString();
   }
 
   /**
-   * Wait for element with timeout
+   * Photos come in several sizes (max300, max1024x768, square60...); ask for the largest
    */
-  async waitForElement(selector, timeout = this.options.timeout) {
-    try {
-      await this.page.waitForSelector(selector, { timeout });
-      return true;
-    } catch (error) {
-      return false;
-    }
+  static getFullSizeImageUrl(url) {
+    return url.replace(/\/(max|square)\d+(x\d+)?\//, '/max1280x900/');
   }
 
   /**
@@ -115,27 +65,22 @@ class BookingCrawler {
     try {
       // Try to get from schema first
       if (schemaData && schemaData.name) {
+        this.recordField('name', 'schema');
         return schemaData.name;
       }
 
       // Fallback to DOM selectors
-      const name = await this.page.evaluate(() => {
-        const selectors = [
-          'h2.pp-header__title',
-          'h2[data-testid="property-name"]',
-          '.hp__hotel-name',
-          'h2.hp-hotel-name',
-        ];
-
+      const match = await this.page.evaluate((selectors) => {
         for (const selector of selectors) {
           const element = document.querySelector(selector);
           if (element) {
-            return element.textContent.trim();
+            return { value: element.textContent.trim(), selector };
           }
         }
         return null;
-      });
-      return name;
+      }, this.selectors.fields.name);
+      this.recordField('name', match && 'fallback', match && match.selector);
+      return match ? match.value : null;
     } catch (error) {
       return null;
     }
@@ -150,32 +95,28 @@ class BookingCrawler {
       if (schemaData && schemaData.address) {
         const addr = schemaData.address;
         if (typeof addr === 'string') {
+          this.recordField('address', 'schema');
           return addr;
         }
         // If it's a structured address object
         if (addr.streetAddress) {
+          this.recordField('address', 'schema');
           return addr.streetAddress;
         }
       }
 
       // Fallback to DOM selectors
-      const address = await this.page.evaluate(() => {
-        const selectors = [
-          '[data-testid="address"]',
-          '.hp_address_subtitle',
-          '.address',
-          'span.hp_address_subtitle',
-        ];
-
+      const match = await this.page.evaluate((selectors) => {
         for (const selector of selectors) {
           const element = document.querySelector(selector);
           if (element) {
-            return element.textContent.trim();
+            return { value: element.textContent.trim(), selector };
           }
         }
         return null;
-      });
-      return address;
+      }, this.selectors.fields.address);
+      this.recordField('address', match && 'fallback', match && match.selector);
+      return match ? match.value : null;
     } catch (error) {
       return null;
     }
@@ -315,13 +256,96 @@ class BookingCrawler {
     }
   }
 
+  /**
+   * Get the schema.org PostalAddress as a plain object
+   */
+  getPostalAddress(schemaData = null) {
+    const addr = schemaData && schemaData.address;
+    if (!addr || typeof addr !== 'object') {
+      return null;
+    }
+
+    const country = addr.addressCountry;
+    const postalAddress = {
+      streetAddress: addr.streetAddress || null,
+      addressLocality: addr.addressLocality || null,
+      addressRegion: addr.addressRegion || null,
+      postalCode: addr.postalCode ? String(addr.postalCode).trim() : null,
+      addressCountry: (country && typeof country === 'object' ? country.name : country) || null,
+    };
+
+    return Object.values(postalAddress).some(Boolean) ? postalAddress : null;
+  }
+
+  /**
+   * Get latitude/longitude from schema, map data attributes or page globals
+   */
+  async getCoordinates(schemaData = null) {
+    const toCoordinates = (lat, lng) => {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+      return { latitude, longitude };
+    };
+
+    // Schema geo, or the static map link (hasMap: ...&center=lat,lng)
+    if (schemaData) {
+      if (schemaData.geo) {
+        const fromGeo = toCoordinates(schemaData.geo.latitude, schemaData.geo.longitude);
+        if (fromGeo) {
+          this.recordField('coordinates', 'schema');
+          return fromGeo;
+        }
+      }
+      const mapMatch = typeof schemaData.hasMap === 'string' && schemaData.hasMap.match(/center=(-?[\d.]+),(-?[\d.]+)/);
+      if (mapMatch) {
+        const fromMap = toCoordinates(mapMatch[1], mapMatch[2]);
+        if (fromMap) {
+          this.recordField('coordinates', 'schema');
+          return fromMap;
+        }
+      }
+    }
+
+    try {
+      const raw = await this.page.evaluate(() => {
+        // Map widgets carry "lat,lng" in a data attribute
+        const mapSelector = '[data-atlas-latlng]';
+        const mapEl = document.querySelector(mapSelector);
+        if (mapEl) {
+          const [lat, lng] = mapEl.getAttribute('data-atlas-latlng').split(',');
+          return { lat, lng, selector: mapSelector };
+        }
+
+        // Page globals have no selector to report
+        if (window.b_hotel_data && window.b_hotel_data.latitude) {
+          return { lat: window.b_hotel_data.latitude, lng: window.b_hotel_data.longitude, selector: null };
+        }
+
+        const env = window.booking && window.booking.env;
+        if (env && env.b_map_center_latitude) {
+          return { lat: env.b_map_center_latitude, lng: env.b_map_center_longitude, selector: null };
+        }
+
+        return null;
+      });
+
+      const coordinates = raw ? toCoordinates(raw.lat, raw.lng) : null;
+      this.recordField('coordinates', coordinates && 'fallback', coordinates && raw.selector);
+      return coordinates;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get hotel star rating (hotel classification, not review rating)
    */
   async getRating(schemaData = null) {
     try {
       // Try to get from DOM - look for rating elements
-      const rating = await this.page.evaluate(() => {
+      const match = await this.page.evaluate(() => {
         // Look for elements with data-testid="quality-rating" or "rating-squares"
         const ratingSelectors = [
           '[data-testid="quality-rating"]',
@@ -340,7 +364,7 @@ class BookingCrawler {
             // Match patterns like "3 out of 5 quality rating" or "4 out of 5 stars"
             const match = text.match(/(\d+)\s*out\s*of\s*\d+/i);
             if (match) {
-              return parseFloat(match[1]);
+              return { value: parseFloat(match[1]), source: 'primary', selector };
             }
           }
         }
@@ -351,7 +375,7 @@ class BookingCrawler {
           try {
             const data = JSON.parse(script.textContent);
             if (data.starRating && data.starRating.ratingValue) {
-              return parseFloat(data.starRating.ratingValue);
+              return { value: parseFloat(data.starRating.ratingValue), source: 'schema', selector: null };
             }
           } catch (e) {
             // Skip invalid JSON
@@ -361,59 +385,201 @@ class BookingCrawler {
         return null;
       });
 
-      return rating;
+      this.recordField('rating', match && match.source, match && match.selector);
+      return match ? match.value : null;
     } catch (error) {
       return null;
     }
   }
 
   /**
-   * Get facilities
+   * Get guest review score, review count and category sub-scores
+   */
+  async getReviewSummary(schemaData = null) {
+    try {
+      const scraped = await this.page.evaluate(() => {
+        const parseScore = (text) => {
+          const match = (text || '').match(/\d+(?:[.,]\d+)?/);
+          return match ? parseFloat(match[0].replace(',', '.')) : null;
+        };
+
+        const result = { score: null, reviewCount: null, label: null, categories: [], selector: null };
+
+        const scoreSelector = '[data-testid="review-score-right-component"], [data-testid="review-score-component"], #js--hp-gallery-scorecard';
+        const scoreEl = document.querySelector(scoreSelector);
+        if (scoreEl) {
+          result.selector = scoreSelector;
+          const text = scoreEl.textContent.replace(/\s+/g, ' ').trim();
+          result.score = parseScore(text);
+
+          const countMatch = text.match(/([\d,.]+)\s+reviews?/i);
+          if (countMatch) {
+            result.reviewCount = parseInt(countMatch[1].replace(/[,.]/g, ''), 10);
+          }
+
+          // Label such as "Very good", "Exceptional"
+          const labelMatch = text.match(/\d(?:[.,]\d+)?\s*([A-Za-z][A-Za-z ]+?)\s*[\d,.]+\s+reviews?/i);
+          if (labelMatch) {
+            result.label = labelMatch[1].trim();
+          }
+        }
+
+        const subscores = document.querySelectorAll('[data-testid="review-subscore"]');
+        subscores.forEach(el => {
+          // Text looks like "Staff 9.1" or "Value for money 8,4"
+          const match = el.textContent.replace(/\s+/g, ' ').trim().match(/^(.*?)\s*(\d+(?:[.,]\d+)?)$/);
+          if (match && match[1]) {
+            result.categories.push({ name: match[1], score: parseFloat(match[2].replace(',', '.')) });
+            result.selector = result.selector || '[data-testid="review-subscore"]';
+          }
+        });
+
+        return result;
+      });
+      const { selector, ...summary } = scraped;
+      let source = selector && 'primary';
+
+      // Prefer the schema aggregate when present, it is not affected by layout changes
+      const aggregate = schemaData && schemaData.aggregateRating;
+      if (aggregate) {
+        if (aggregate.ratingValue) {
+          summary.score = parseFloat(aggregate.ratingValue);
+          source = 'schema';
+        }
+        if (aggregate.reviewCount) {
+          summary.reviewCount = parseInt(aggregate.reviewCount, 10);
+        }
+      }
+
+      const found = summary.score !== null || summary.categories.length > 0;
+      this.recordField('reviewSummary', found && source, found && source === 'primary' && selector);
+      return found ? summary : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect review texts from the paginated review list
+   * @param {string} url - hotel page URL
+   * @param {number} limit - maximum number of reviews
+   */
+  async getReviews(url, limit) {
+    const reviews = [];
+    if (!limit || limit <= 0) return reviews;
+
+    // /hotel/vn/mekong-lodge.en-gb.html -> cc1=vn, pagename=mekong-lodge
+    const match = new URL(url).pathname.match(/\/hotel\/([a-z]{2})\/([^/.]+)/i);
+    if (!match) return reviews;
+    const [, countryCode, pageName] = match;
+
+    const pageSize = 25;
+    try {
+      for (let offset = 0; reviews.length < limit; offset += pageSize) {
+        this.throwIfAborted();
+
+        const listUrl = `https://www.booking.com/reviewlist.html?cc1=${countryCode}&pagename=${encodeURIComponent(pageName)}` +
+          `&type=total&sort=f_recent_desc&rows=${pageSize}&offset=${offset}`;
+        await this.page.goto(listUrl, { waitUntil: 'domcontentloaded', timeout: this.options.timeout });
+
+        const pageReviews = await this.page.evaluate(() => {
+          const clean = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+          const blocks = document.querySelectorAll('.c-review-block, [data-testid="review-card"]');
+
+          return Array.from(blocks).map(block => {
+            const bodies = Array.from(block.querySelectorAll('.c-review__body, [data-testid="review-positive-text"], [data-testid="review-negative-text"]'));
+            // Booking marks the "disliked" row with the class "lalala"
+            const positive = block.querySelector('.c-review__row:not(.lalala) .c-review__body, [data-testid="review-positive-text"]');
+            const negative = block.querySelector('.c-review__row.lalala .c-review__body, [data-testid="review-negative-text"]');
+            const dateText = clean(block.querySelector('.c-review-block__date, [data-testid="review-date"]'));
+
+            return {
+              title: clean(block.querySelector('.c-review-block__title, [data-testid="review-title"]')),
+              positive: clean(positive),
+              negative: negative && negative !== positive ? clean(negative) : null,
+              score: (() => {
+                const match = (clean(block.querySelector('.bui-review-score__badge, [data-testid="review-score"]')) || '').match(/\d+(?:[.,]\d+)?/);
+                return match ? parseFloat(match[0].replace(',', '.')) : null;
+              })(),
+              date: dateText ? dateText.replace(/^Reviewed:\s*/i, '') : null,
+              reviewerCountry: clean(block.querySelector('.bui-avatar-block__subtitle, [data-testid="review-avatar"] .afac1f68d9')),
+              language: (bodies.find(b => b.getAttribute('lang')) || { getAttribute: () => null }).getAttribute('lang'),
+            };
+          });
+        });
+
+        if (pageReviews.length === 0) break;
+        reviews.push(...pageReviews.filter(r => r.positive || r.negative || r.title));
+        if (pageReviews.length < pageSize) break;
+
+        await this.sleep(1000);
+      }
+    } catch (error) {
+      if (error instanceof CrawlCancelledError) throw error;
+      // Keep what was collected before the failure
+    }
+
+    return reviews.slice(0, limit);
+  }
+
+  /**
+   * Get facilities grouped by category: [{ name, items: [{ name, note, popular }] }]
+   * `note` is the extra text next to an item ("Additional charge", "Free"), `popular`
+   * marks items also listed under the most popular facilities.
    */
   async getFacilities() {
     try {
-      const facilities = await this.page.evaluate(() => {
-        const result = [];
+      const { facilities, source, selector } = await this.page.evaluate((selectors) => {
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const popularNames = new Set();
+        document.querySelectorAll(selectors.popular.join(', ')).forEach(el => {
+          const text = clean(el.textContent);
+          if (text) popularNames.add(text.toLowerCase());
+        });
+        const toItem = (name, note = null) => ({ name, note: note || null, popular: popularNames.has(name.toLowerCase()) });
 
         // Priority 1: Extract from facility-group-container (most specific)
-        const containers = document.querySelectorAll('div[data-testid="facility-group-container"]');
-
-        if (containers.length > 0) {
-          containers.forEach(container => {
-            const items = container.querySelectorAll('span.f6b6d2a959');
-            items.forEach(item => {
-              const text = item.textContent.trim();
-              if (text && !result.includes(text)) {
-                result.push(text);
-              }
-            });
+        const groupSelector = selectors.groups.join(', ');
+        const groups = [];
+        document.querySelectorAll(groupSelector).forEach(container => {
+          const heading = container.querySelector(selectors.groupName.join(', '));
+          const items = [];
+          container.querySelectorAll(selectors.groupItem.join(', ')).forEach(nameEl => {
+            const name = clean(nameEl.textContent);
+            if (!name || items.some(item => item.name === name)) return;
+
+            // Whatever else the item row says is its note
+            const row = nameEl.closest('li') || nameEl.parentElement;
+            const note = clean(row.textContent.replace(nameEl.textContent, '')).replace(/^[-–·:,\s]+/, '');
+            items.push(toItem(name, note));
           });
+          if (items.length > 0) {
+            groups.push({ name: heading ? clean(heading.textContent) : null, items });
+          }
+        });
+
+        if (groups.length > 0) {
+          return { facilities: groups, source: 'primary', selector: groupSelector };
         }
 
-        // Fallback: Try other selectors if no facilities found
-        if (result.length === 0) {
-          const facilitySelectors = [
-            '[data-testid="property-most-popular-facilities-wrapper"] .a815ec762e.ab06168e37',
-            '.important_facility',
-            '.hotel-facilities-group',
-          ];
-
-          for (const selector of facilitySelectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              elements.forEach(el => {
-                const text = el.textContent.trim();
-                if (text && !result.includes(text)) {
-                  result.push(text);
-                }
-              });
-              break;
-            }
+        // Fallback: Try other selectors if no facilities found, as one unnamed group
+        for (const selector of selectors.fallback) {
+          const elements = document.querySelectorAll(selector);
+          if (elements.length > 0) {
+            const items = [];
+            elements.forEach(el => {
+              const name = clean(el.textContent);
+              if (name && !items.some(item => item.name === name)) {
+                items.push(toItem(name));
+              }
+            });
+            return { facilities: items.length > 0 ? [{ name: null, items }] : [], source: 'fallback', selector };
           }
         }
 
-        return result;
-      });
+        return { facilities: [], source: null, selector: null };
+      }, this.selectors.fields.facilities);
+      this.recordField('facilities', facilities.length > 0 && source, selector);
       return facilities;
     } catch (error) {
       return [];
@@ -425,26 +591,28 @@ class BookingCrawler {
    */
   async getFAQs() {
     try {
-      const faqs = await this.page.evaluate(() => {
+      const { faqs, source, selector } = await this.page.evaluate((selectors) => {
         const result = [];
+        const answerSelector = selectors.answer.join(', ');
 
         // Priority 1: Extract from faqs-list (most specific)
-        const faqsList = document.querySelector('div[data-testid="faqs-list"]');
+        const listSelector = selectors.list.join(', ');
+        const faqsList = document.querySelector(listSelector);
 
         if (faqsList) {
-          const questions = faqsList.querySelectorAll('h3[data-testid="question"]');
+          const questions = faqsList.querySelectorAll(selectors.question.join(', '));
 
           questions.forEach((questionEl, idx) => {
             const question = questionEl.textContent.trim();
             // Try multiple parent selectors
-            let answerEl = questionEl.closest('.e5e285812b')?.querySelector('div[data-testid="answer"]');
+            let answerEl = questionEl.closest(selectors.answerContainer.join(', '))?.querySelector(answerSelector);
 
             // If not found, try other parent containers
             if (!answerEl) {
-              answerEl = questionEl.parentElement?.querySelector('div[data-testid="answer"]');
+              answerEl = questionEl.parentElement?.querySelector(answerSelector);
             }
             if (!answerEl) {
-              answerEl = questionEl.parentElement?.parentElement?.querySelector('div[data-testid="answer"]');
+              answerEl = questionEl.parentElement?.parentElement?.querySelector(answerSelector);
             }
 
             if (answerEl) {
@@ -452,41 +620,36 @@ class BookingCrawler {
                 question: question,
                 answer: answerEl.textContent.trim()
               });
-            } else {
             }
           });
-        } else {
+        }
+
+        if (result.length > 0) {
+          return { faqs: result, source: 'primary', selector: listSelector };
         }
 
         // Fallback: Try other selectors if no FAQs found
-        if (result.length === 0) {
-          const faqSelectors = [
-            '[data-testid="faq-item"]',
-            '.faq-item',
-            '.hp-faq-item',
-          ];
-
-          for (const selector of faqSelectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              elements.forEach(el => {
-                const question = el.querySelector('button, .faq-question, h3');
-                const answer = el.querySelector('.faq-answer, [data-testid="faq-answer"], p');
-
-                if (question && answer) {
-                  result.push({
-                    question: question.textContent.trim(),
-                    answer: answer.textContent.trim()
-                  });
-                }
-              });
-              break;
-            }
+        for (const selector of selectors.fallbackItem) {
+          const elements = document.querySelectorAll(selector);
+          if (elements.length > 0) {
+            elements.forEach(el => {
+              const question = el.querySelector(selectors.fallbackQuestion.join(', '));
+              const answer = el.querySelector(selectors.fallbackAnswer.join(', '));
+
+              if (question && answer) {
+                result.push({
+                  question: question.textContent.trim(),
+                  answer: answer.textContent.trim()
+                });
+              }
+            });
+            return { faqs: result, source: 'fallback', selector };
           }
         }
 
-        return result;
-      });
+        return { faqs: result, source: null, selector: null };
+      }, this.selectors.fields.faqs);
+      this.recordField('faqs', faqs.length > 0 && source, selector);
       return faqs;
     } catch (error) {
       return [];
@@ -494,67 +657,54 @@ class BookingCrawler {
   }
 
   /**
-   * Get about/description
+   * Get about/description as { html, text } (see richText.js), null when not found
    */
   async getAbout(schemaData = null) {
     try {
       // Priority 1: Get from specific data-testid attribute (most reliable)
-      const aboutFromTestId = await this.page.evaluate(() => {
-        const element = document.querySelector('p[data-testid="property-description"]');
-        if (element) {
-          return element.innerHTML.trim(); // Use innerHTML to preserve formatting like <b> tags
-        }
-        return null;
-      });
-
-      if (aboutFromTestId) {
-        return aboutFromTestId;
+      const primary = this.selectors.fields.about.primary.join(', ');
+      const fromTestId = await this.page.evaluate(extractRichText, [primary], INLINE_TAGS);
+      if (fromTestId) {
+        this.recordField('about', 'primary', primary);
+        return { html: fromTestId.html, text: fromTestId.text };
       }
 
       // Priority 2: Get from schema
-      if (schemaData && schemaData.description) {
-        return schemaData.description;
+      const fromSchema = richTextFromPlain(schemaData && schemaData.description);
+      if (fromSchema) {
+        this.recordField('about', 'schema');
+        return fromSchema;
       }
 
       // Priority 3: Fallback to other DOM selectors
-      const about = await this.page.evaluate(() => {
-        const selectors = [
-          '#property_description_content',
-          '.hp-description',
-          '.hotel-description',
-        ];
-
-        for (const selector of selectors) {
-          const element = document.querySelector(selector);
-          if (element) {
-            return element.textContent.trim();
-          }
-        }
-        return null;
-      });
-      return about;
+      const match = await this.page.evaluate(extractRichText, this.selectors.fields.about.fallback, INLINE_TAGS);
+      this.recordField('about', match && 'fallback', match && match.selector);
+      return match ? { html: match.html, text: match.text } : null;
     } catch (error) {
       return null;
     }
   }
 
   /**
-   * Get house rules (check-in/check-out times, policies, etc.)
+   * Get house rules: every rule section as { key, label, value }, plus check-in/check-out times
    */
   async getHouseRules() {
     try {
-      const houseRules = await this.page.evaluate(() => {
-        const rules = {};
+      const { sections, source, selector } = await this.page.evaluate((selectors, headingKeywords, checkInKeywords) => {
+        const valueContainerSelector = selectors.valueContainer.join(', ');
+        const sectionSelector = selectors.section.join(', ');
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
 
         // Try to find house rules section by various methods
-        // Method 1: Look for section with heading "House Rules"
+        // Method 1: Look for section with a "House Rules" heading, in any supported language
         const headings = Array.from(document.querySelectorAll('h2, h3, [role="heading"]'));
-        const houseRulesHeading = headings.find(h =>
-          h.textContent.toLowerCase().includes('house rules') ||
-          h.textContent.toLowerCase().includes('policies')
-        );
+        const houseRulesHeading = headings.find(h => {
+          const text = h.textContent.toLowerCase();
+          return headingKeywords.some(keyword => text.includes(keyword));
+        });
 
         let container = null;
+        let source = 'primary';
 
         if (houseRulesHeading) {
           // Get the parent section
@@ -565,15 +715,16 @@ class BookingCrawler {
 
         // Method 2: Try data-testid selector
         if (!container) {
-          container = document.querySelector('div[data-testid="property-section--content"]');
+          container = document.querySelector(selectors.container.join(', '));
+          source = 'fallback';
         }
 
-        // Method 3: Look for container with check-in/check-out keywords
+        // Method 3: Look for container with check-in keywords
         if (!container) {
           const allDivs = document.querySelectorAll('div');
           for (const div of allDivs) {
-            const text = div.textContent || '';
-            if (text.includes('Check-in') && text.includes('Check-out')) {
+            const text = (div.textContent || '').toLowerCase();
+            if (checkInKeywords.some(keyword => text.includes(keyword)) && div.querySelector(sectionSelector)) {
               container = div;
               break;
             }
@@ -581,46 +732,51 @@ class BookingCrawler {
         }
 
         if (!container) {
-          return null;
+          return { sections: [], source: null, selector: null };
         }
 
-        // Find all rule sections (each has class b0400e5749)
-        const sections = container.querySelectorAll('.b0400e5749');
-
-        sections.forEach(section => {
-          // Get heading/label text (before the value container)
-          // The heading is typically in the first part of the section, before .c92998be48
-          const valueContainer = section.querySelector('.c92998be48');
+        // Every rule section: label before the value container, value inside it
+        const sections = [];
+        container.querySelectorAll(sectionSelector).forEach(section => {
+          const valueContainer = section.querySelector(valueContainerSelector);
           if (!valueContainer) return;
 
-          // Get heading text by getting all text BEFORE value container
-          // We'll clone the section, remove value container, then get text
+          // Label = section text without the value container
           const sectionClone = section.cloneNode(true);
-          const valueContainerClone = sectionClone.querySelector('.c92998be48');
+          const valueContainerClone = sectionClone.querySelector(valueContainerSelector);
           if (valueContainerClone) {
             valueContainerClone.remove();
           }
-          const headingText = sectionClone.textContent.trim();
+          const label = clean(sectionClone.textContent);
 
-          // Get the value from the first .b99b6ef58f
-          const valueEl = valueContainer.querySelector('.b99b6ef58f');
-          if (!valueEl) return;
-
-          const value = valueEl.textContent.trim();
+          // A rule can have several value lines (children policies, fees...)
+          const lines = [];
+          valueContainer.querySelectorAll(selectors.value.join(', ')).forEach(valueEl => {
+            const line = clean(valueEl.textContent);
+            if (line && !lines.includes(line)) lines.push(line);
+          });
+          if (lines.length === 0) {
+            lines.push(clean(valueContainer.textContent));
+          }
 
-          // Identify rule type by exact heading text match
-          if (headingText === 'Check-in') {
-            rules.checkIn = value;
-          } else if (headingText === 'Check-out') {
-            rules.checkOut = value;
-          } else if (headingText === 'Pets') {
-            rules.pets = value;
+          // Payment methods are card logos, keep their names
+          const cards = Array.from(valueContainer.querySelectorAll('img[alt]'))
+            .map(img => clean(img.getAttribute('alt')))
+            .filter(Boolean);
+          if (cards.length > 0) {
+            lines.push(cards.join(', '));
           }
+
+          sections.push({ label, value: lines.filter(Boolean).join('\n') });
         });
 
-        return Object.keys(rules).length > 0 ? rules : null;
-      });
+        return sections.length > 0
+          ? { sections, source, selector: sectionSelector }
+          : { sections: [], source: null, selector: null };
+      }, this.selectors.fields.houseRules, HOUSE_RULES_HEADINGS, CHECK_IN_KEYWORDS);
 
+      const houseRules = buildHouseRules(sections);
+      this.recordField('houseRules', houseRules && source, houseRules && selector);
       return houseRules;
     } catch (error) {
       return null;
@@ -632,27 +788,27 @@ class BookingCrawler {
    */
   async getHotelAreaInfo() {
     try {
-      const areaInfo = await this.page.evaluate(() => {
+      const areaInfo = await this.page.evaluate((selectors) => {
         const result = [];
 
         // Find the location block container
-        const locationContainer = document.querySelector('div[data-testid="location-block-container"]');
+        const locationContainer = document.querySelector(selectors.container.join(', '));
         if (!locationContainer) {
           return result;
         }
 
         // Find all poi-block elements (each represents a category)
-        const poiBlocks = locationContainer.querySelectorAll('div[data-testid="poi-block"]');
+        const poiBlocks = locationContainer.querySelectorAll(selectors.block.join(', '));
 
         poiBlocks.forEach(block => {
-          // Get category name from h3
-          const categoryElement = block.querySelector('h3');
+          // Get category name from the block heading
+          const categoryElement = block.querySelector(selectors.title.join(', '));
           if (!categoryElement) return;
 
           const category = categoryElement.textContent.trim();
 
           // Get all items in this category
-          const itemsList = block.querySelector('ul[data-testid="poi-block-list"]');
+          const itemsList = block.querySelector(selectors.list.join(', '));
           if (!itemsList) return;
 
           const items = [];
@@ -660,12 +816,12 @@ class BookingCrawler {
 
           listItems.forEach(li => {
             // Get the name and distance
-            const nameElement = li.querySelector('.aa225776f2.ca9d921c46, .d1bc97eb82');
-            const distanceElement = li.querySelector('.b99b6ef58f.fb14de7f14.a0a56631d6');
+            const nameElement = li.querySelector(selectors.name.join(', '));
+            const distanceElement = li.querySelector(selectors.distance.join(', '));
 
             if (nameElement && distanceElement) {
               // Check if there's a type label (like "Restaurant", "Cafe/Bar", etc.)
-              const typeElement = li.querySelector('.ea6d30da3a');
+              const typeElement = li.querySelector(selectors.type.join(', '));
               const type = typeElement ? typeElement.textContent.trim() : null;
 
               // Get the full name text, excluding the type label if present
@@ -691,14 +847,76 @@ class BookingCrawler {
         });
 
         return result;
-      });
+      }, this.selectors.fields.areaInfo);
 
+      this.recordField('hotelAreaInfo', areaInfo.length > 0 && 'primary', areaInfo.length > 0 && this.selectors.fields.areaInfo.container.join(', '));
       return areaInfo;
     } catch (error) {
       return [];
     }
   }
 
+  /**
+   * Get available rooms from the availability table
+   * Only present when the page was opened with check-in/check-out dates.
+   */
+  async getRooms() {
+    try {
+      const rooms = await this.page.evaluate(() => {
+        const clean = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+        const rows = document.querySelectorAll('table.hprt-table tbody tr, #hprt-table tbody tr');
+        const results = [];
+
+        // Room type and bed cells span several rows (one row per rate)
+        let roomType = null;
+        let bedConfig = null;
+
+        rows.forEach(row => {
+          const roomCell = row.querySelector('.hprt-roomtype-link, .hprt-roomtype-icon-link, [data-testid="room-name"]');
+          if (roomCell) {
+            roomType = clean(roomCell);
+            bedConfig = clean(row.querySelector('.hprt-roomtype-bed, .rt-bed-types'));
+          }
+          if (!roomType) return;
+
+          const occupancyEl = row.querySelector('.hprt-occupancy-occupancy-info, .hprt-table-cell-occupancy');
+          let occupancy = null;
+          if (occupancyEl) {
+            const label = occupancyEl.getAttribute('aria-label') || occupancyEl.getAttribute('title') || occupancyEl.textContent;
+            const match = (label || '').match(/\d+/);
+            occupancy = match ? parseInt(match[0], 10) : occupancyEl.querySelectorAll('.bicon-occupancy, svg').length || null;
+          }
+
+          const priceEl = row.querySelector('.bui-price-display__value, .prco-valign-middle-helper, [data-testid="price-and-discounted-price"]');
+          const priceText = clean(priceEl);
+
+          const conditions = Array.from(row.querySelectorAll('.hprt-conditions li, .hprt-table-cell-conditions li'))
+            .map(li => clean(li))
+            .filter(Boolean);
+          const mealPlan = conditions.find(c => /breakfast|meal|board|dinner|lunch|all-inclusive/i.test(c)) || null;
+          const cancellationPolicy = conditions.find(c => /cancel|refund/i.test(c)) || null;
+
+          if (!priceText) return;
+
+          results.push({
+            roomType,
+            bedConfig,
+            occupancy,
+            priceText,
+            mealPlan,
+            cancellationPolicy,
+          });
+        });
+
+        return results;
+      });
+
+      return rooms.map(room => ({ ...room, price: parsePrice(room.priceText) }));
+    } catch (error) {
+      return [];
+    }
+  }
+
   /**
    * Get images from gallery popup
    */
@@ -717,61 +935,10 @@ class BookingCrawler {
       // Wait for gallery popup to appear
       await this.sleep(3000); // Wait 3 seconds for popup
 
-      const images = await this.page.evaluate(() => {
-        const result = [];
-
-        // Priority 1: Look for picture elements with lazy-image-image
-        const pictureElements = document.querySelectorAll('picture[data-testid="lazy-image-image"]');
-        if (pictureElements.length > 0) {
-          pictureElements.forEach(picture => {
-            const img = picture.querySelector('img');
-            if (img) {
-              const src = img.src || img.dataset.src || img.getAttribute('data-lazy-src');
-              if (src && !result.includes(src) && src.startsWith('http')) {
-                result.push(src);
-              }
-            }
-          });
-        }
-
-        // Priority 2: If no picture elements found, try other selectors
-        if (result.length === 0) {
-          const imageSelectors = [
-            '[data-testid="gallery-image"] img',
-            '.bh-photo-grid-item img',
-            '.hotel-photo-carousel img',
-            '.photo-gallery img',
-            'img[data-testid="image"]',
-            '.gallery-image img',
-          ];
-
-          for (const selector of imageSelectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              elements.forEach(img => {
-                const src = img.src || img.dataset.src || img.getAttribute('data-lazy-src');
-                if (src && !result.includes(src) && src.startsWith('http')) {
-                  result.push(src);
-                }
-              });
-              if (result.length > 0) break;
-            }
-          }
-        }
-
-        // Priority 3: Fallback - get from main page
-        if (result.length === 0) {
-          const allImages = document.querySelectorAll('img');
-          allImages.forEach(img => {
-            const src = img.src || img.dataset.src;
-            if (src && src.includes('booking.com') && src.includes('photo') && !result.includes(src)) {
-              result.push(src);
-            }
-          });
-        }
-
-        return result;
-      });
+      // Gallery photos first, any Booking photo on the page as the last resort
+      const selectors = this.selectors.fields.images;
+      const images = await this.getImagesFromSelectors(selectors);
+      this.recordField('images', images.length > 0 && 'primary', images.length > 0 && selectors.join(', '));
 
       return images;
     } catch (error) {
@@ -781,114 +948,151 @@ class BookingCrawler {
 
   /**
    * Crawl all hotel information
+   * @param {string} url - hotel page URL
+   * @param {Object} options - { stay } to also extract rooms and prices for given dates,
+   *   { languages } to also extract about/facilities/FAQs from those language variants
    */
-  async crawlHotel(url) {
+  async crawlHotel(url, { stay = null, languages = [] } = {}) {
     try {
-
       // Initialize browser if not already done
-      if (!this.browser) {
+      if (!this.page) {
         await this.init();
       }
 
-      // Navigate to hotel page
-      await this.page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: this.options.timeout
-      });
-
-      // Wait for main content to load
-      await this.sleep(2000);
+      // Navigate to hotel page, waiting for main content; throws on challenge/block pages
+      this.report('navigation', 5, `Navigating to ${url}...`);
+      await this.openPage(buildHotelUrl(url, stay));
 
       // Scroll down slowly to trigger lazy loading of all sections
+      this.report('scroll', 15, 'Scrolling page to load lazy sections...');
       await this.autoScroll();
 
-
       // First, try to get structured data from JSON-LD schema
+      this.report('schema', 25, 'Reading JSON-LD schema...');
       const schemaData = await this.getSchemaData();
       if (schemaData) {
+        this.report('schema', 30, `Schema found (${schemaData['@type']})`);
       } else {
+        this.report('schema', 30, 'No hotel schema found, using DOM selectors', 'warning');
       }
 
       // Get all information (pass schemaData to use as primary source)
-      const [name, address, rating, locationDetails] = await Promise.all([
+      this.report('details', 35, 'Extracting name, address and rating...');
+      const [name, address, rating, locationDetails, reviewSummary, coordinates] = await Promise.all([
         this.getHotelName(schemaData),
         this.getAddress(schemaData),
         this.getRating(schemaData),
         this.getLocationDetails(schemaData),
+        this.getReviewSummary(schemaData),
+        this.getCoordinates(schemaData),
       ]);
-
+      const postalAddress = this.getPostalAddress(schemaData);
+      this.report('details', 40, `Name: ${name || 'not found'} | Rating: ${rating ?? 'not found'}`, name ? 'info' : 'warning');
+      this.report(
+        'details',
+        41,
+        coordinates ? `Coordinates: ${coordinates.latitude}, ${coordinates.longitude}` : 'Coordinates not found',
+        coordinates ? 'info' : 'warning'
+      );
+      this.report(
+        'details',
+        42,
+        reviewSummary
+          ? `Review score: ${reviewSummary.score ?? '-'} (${reviewSummary.reviewCount ?? 0} reviews, ${reviewSummary.categories.length} categories)`
+          : 'Review score not found',
+        reviewSummary ? 'info' : 'warning'
+      );
+
+      this.report('about', 45, 'Extracting description...');
       const about = await this.getAbout(schemaData);
+      this.report('about', 50, about ? `Description: ${about.text.length} chars` : 'Description not found', about ? 'info' : 'warning');
 
+      this.report('facilities', 55, 'Extracting facilities...');
       const facilities = await this.getFacilities();
+      const facilityList = flattenFacilities(facilities);
+      this.report('facilities', 60, `Facilities: ${facilityList.length} in ${facilities.length} groups`, facilities.length ? 'info' : 'warning');
 
+      this.report('houseRules', 65, 'Extracting house rules...');
       const houseRules = await this.getHouseRules();
+      this.report('houseRules', 70, houseRules ? `House rules: ${houseRules.rules.map(rule => rule.key).join(', ')}` : 'House rules not found', houseRules ? 'info' : 'warning');
 
+      this.report('faqs', 72, 'Extracting FAQs...');
       const faqs = await this.getFAQs();
+      this.report('faqs', 75, `FAQs: ${faqs.length}`);
 
+      this.report('areaInfo', 78, 'Extracting area info...');
       const hotelAreaInfo = await this.getHotelAreaInfo();
+      this.report('areaInfo', 80, `Area info: ${hotelAreaInfo.length} categories`);
+
+      let rooms;
+      if (stay && stay.checkIn && stay.checkOut) {
+        this.report('rooms', 82, `Extracting rooms for ${stay.checkIn} - ${stay.checkOut}...`);
+        rooms = await this.getRooms();
+        this.report('rooms', 84, `Rooms: ${rooms.length}`, rooms.length ? 'info' : 'warning');
+      }
 
       // Get images separately as it requires navigation
+      this.report('gallery', 85, 'Opening photo gallery...');
       const images = await this.getImages(url);
+      this.report('gallery', 92, `Images: ${images.length}`, images.length ? 'info' : 'warning');
+
+      let reviews;
+      if (this.options.reviewLimit > 0) {
+        this.report('reviews', 94, `Collecting up to ${this.options.reviewLimit} reviews...`);
+        reviews = await this.getReviews(url, this.options.reviewLimit);
+        this.report('reviews', 98, `Reviews: ${reviews.length}`, reviews.length ? 'info' : 'warning');
+      }
+
+      let locales;
+      if (languages.length > 0) {
+        locales = await this.crawlLocales(url, languages, {
+          about: about ? about.html : null,
+          aboutText: about ? about.text : null,
+          facilities,
+          facilityList,
+          faqs,
+        });
+      }
 
       const result = {
         url,
+        site: BookingCrawler.siteId,
         name,
         address,
         rating,
+        reviewSummary,
+        reviews,
         facilities,
+        facilityList,
         faqs,
-        about,
+        about: about ? about.html : null,
+        aboutText: about ? about.text : null,
         houseRules,
         images,
         cityName: locationDetails.cityName,
         regionName: locationDetails.regionName,
         countryName: locationDetails.countryName,
+        latitude: coordinates ? coordinates.latitude : null,
+        longitude: coordinates ? coordinates.longitude : null,
+        postalCode: postalAddress ? postalAddress.postalCode : null,
+        postalAddress,
         hotelAreaInfo,
+        rooms,
+        stay: rooms ? { ...stay } : undefined,
+        locales,
+        diagnostics: { ...this.diagnostics },
         crawledAt: new Date().toISOString(),
       };
 
       return result;
     } catch (error) {
-      throw error;
-    }
-  }
-
-  /**
-   * Auto scroll page to load lazy content
-   */
-  async autoScroll() {
-    await this.page.evaluate(async () => {
-      await new Promise((resolve) => {
-        let totalHeight = 0;
-        const distance = 100;
-        const timer = setInterval(() => {
-          const scrollHeight = document.body.scrollHeight;
-          window.scrollBy(0, distance);
-          totalHeight += distance;
-
-          if (totalHeight >= scrollHeight) {
-            clearInterval(timer);
-            resolve();
-          }
-        }, 100);
-      });
-    });
-
-    // Scroll back to top
-    await this.page.evaluate(() => window.scrollTo(0, 0));
-    await this.sleep(1000);
-  }
-
-  /**
-   * Close browser
-   */
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.page = null;
+      throw this.toCrawlError(error);
     }
   }
 }
 
+BookingCrawler.siteId = 'booking';
+BookingCrawler.siteName = 'Booking.com';
+BookingCrawler.urlPatterns = [/^https?:\/\/([a-z0-9-]+\.)*booking\.com\/hotel\//i];
+
 export default BookingCrawler;
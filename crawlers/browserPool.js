@@ -0,0 +1,185 @@
+import puppeteer from 'puppeteer';
+import { getLaunchOptions } from './baseCrawler.js';
+
+/**
+ * Shared Chrome pool
+ * Keeps up to `size` browsers alive and hands out one fresh incognito
+ * context per task, using the task's proxy if it has one. Browsers are
+ * recycled after `maxPagesPerBrowser` tasks, when they crash, or when the
+ * browser-level launch options (headless, executablePath) change.
+ */
+
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 1);
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser || 50;
+    this.launch = options.launch || (launchOptions => puppeteer.launch(launchOptions));
+
+    this.entries = []; // { browser, busy, pagesServed, retired }
+    this.waiters = []; // Pending acquire() calls
+    this.launchKey = null;
+    this.closed = false;
+  }
+
+  /**
+   * Change the number of browsers (follows AppConfig.concurrency)
+   */
+  setSize(size) {
+    this.size = Math.max(1, size || 1);
+
+    // Drop idle browsers above the new size
+    const idle = this.entries.filter(e => !e.busy);
+    while (this.entries.length > this.size && idle.length > 0) {
+      this.destroy(idle.pop());
+    }
+    this.wakeWaiters();
+  }
+
+  /**
+   * Get a fresh page in its own incognito context
+   * @param {Object} options - crawler launch options (headless, executablePath, viewport, proxy)
+   * @returns {Promise<{ page: import('puppeteer').Page, release: () => Promise<void> }>}
+   */
+  async acquire(options = {}) {
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+
+    // The proxy is set per context and the viewport per page (setupPage), so
+    // browsers are not relaunched when a rotated profile changes either
+    const launchOptions = getLaunchOptions({ ...options, proxy: null, viewport: null });
+    delete launchOptions.userDataDir; // A profile directory cannot be shared between browsers
+    this.retireIfChanged(launchOptions);
+
+    const entry = await this.reserveEntry(launchOptions);
+    const contextOptions = options.proxy && options.proxy.server ? { proxyServer: options.proxy.server } : {};
+
+    let context = null;
+    try {
+      context = entry.browser.createBrowserContext
+        ? await entry.browser.createBrowserContext(contextOptions)
+        : await entry.browser.createIncognitoBrowserContext(contextOptions);
+      const page = await context.newPage();
+      entry.pagesServed++;
+
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        try {
+          await context.close();
+        } catch (error) {
+          // Context is gone already if the browser crashed
+        }
+        this.releaseEntry(entry);
+      };
+
+      return { page, release };
+    } catch (error) {
+      if (context) {
+        context.close().catch(() => {});
+      }
+      // A browser that cannot open a context is broken: replace it
+      entry.retired = true;
+      this.releaseEntry(entry);
+      throw error;
+    }
+  }
+
+  /**
+   * Close all browsers
+   */
+  async closeAll() {
+    this.closed = true;
+    for (const waiter of this.waiters) {
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+    this.waiters = [];
+
+    const entries = this.entries;
+    this.entries = [];
+    await Promise.allSettled(entries.map(e => e.browser.close()));
+  }
+
+  /**
+   * Get an idle browser, launch a new one, or wait for one to free up
+   */
+  async reserveEntry(launchOptions) {
+    for (;;) {
+      const idle = this.entries.find(e => !e.busy && !e.retired && e.browser.isConnected());
+      if (idle) {
+        idle.busy = true;
+        return idle;
+      }
+
+      if (this.entries.length < this.size) {
+        // Reserve the slot before the async launch so parallel callers don't overshoot
+        const entry = { browser: null, busy: true, pagesServed: 0, retired: false };
+        this.entries.push(entry);
+        try {
+          entry.browser = await this.launch(launchOptions);
+        } catch (error) {
+          this.entries = this.entries.filter(e => e !== entry);
+          this.wakeWaiters();
+          throw error;
+        }
+        entry.browser.on('disconnected', () => {
+          // Crash or external close: forget it so a new one is launched
+          if (this.entries.includes(entry)) {
+            this.entries = this.entries.filter(e => e !== entry);
+            this.wakeWaiters();
+          }
+        });
+        return entry;
+      }
+
+      await new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+  }
+
+  /**
+   * Return a browser to the pool, or close it if it is due for recycling
+   */
+  releaseEntry(entry) {
+    entry.busy = false;
+
+    const overSize = this.entries.length > this.size;
+    if (entry.retired || overSize || entry.pagesServed >= this.maxPagesPerBrowser || !entry.browser.isConnected()) {
+      this.destroy(entry);
+    }
+    this.wakeWaiters();
+  }
+
+  /**
+   * Retire every browser launched with different options
+   */
+  retireIfChanged(launchOptions) {
+    const key = JSON.stringify(launchOptions);
+    if (this.launchKey === key) return;
+
+    this.launchKey = key;
+    for (const entry of [...this.entries]) {
+      entry.retired = true;
+      if (!entry.busy) {
+        this.destroy(entry);
+      }
+    }
+  }
+
+  destroy(entry) {
+    this.entries = this.entries.filter(e => e !== entry);
+    if (entry.browser) {
+      entry.browser.close().catch(() => {});
+    }
+  }
+
+  wakeWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const waiter of waiters) {
+      waiter.resolve();
+    }
+  }
+}
+
+export default BrowserPool;
@@ -0,0 +1,32 @@
+/**
+ * Typed crawler errors
+ * `code` survives the trip through the main process, so the queue can
+ * tell them apart without instanceof across module systems.
+ */
+
+export class CrawlCancelledError extends Error {
+  constructor(message = 'Crawl cancelled') {
+    super(message);
+    this.name = 'CrawlCancelledError';
+    this.code = 'CANCELLED';
+  }
+}
+
+/**
+ * The site served a CAPTCHA, challenge or block page instead of the hotel page
+ * @param {string} reason - what gave the page away, e.g. 'HTTP 403' or 'challenge element #px-captcha'
+ * @param {string|null} url - page that was blocked
+ * @param {number|null} httpStatus - status of the block response, when it had one
+ */
+export class CrawlBlockedError extends Error {
+  constructor(reason, url = null, httpStatus = null) {
+    super(`Blocked by the site (${reason})${url ? ` on ${url}` : ''}`);
+    this.name = 'CrawlBlockedError';
+    this.code = 'BLOCKED';
+    this.reason = reason;
+    this.url = url;
+    if (httpStatus) {
+      this.httpStatus = httpStatus;
+    }
+  }
+}
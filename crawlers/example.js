@@ -57,8 +57,12 @@ async function main() {
 
     console.log('\n🏨 Facilities:');
     if (hotelData.facilities && hotelData.facilities.length > 0) {
-      hotelData.facilities.forEach((facility, index) => {
-        console.log(`  ${index + 1}. ${facility}`);
+      hotelData.facilities.forEach((group) => {
+        console.log(`  ${group.name || 'Other'}:`);
+        group.items.forEach((item) => {
+          const note = item.note ? ` (${item.note})` : '';
+          console.log(`    - ${item.name}${note}${item.popular ? ' ★' : ''}`);
+        });
       });
     } else {
       console.log('  No facilities found');
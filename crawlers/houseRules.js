@@ -0,0 +1,139 @@
+/**
+ * House rules helpers
+ * Turns the label/value pairs scraped from a policies section into a list of
+ * rules with normalized keys, plus parsed check-in/check-out times. Labels are
+ * matched against keywords in the languages Booking/Agoda pages are served
+ * in, so a localized page yields the same keys as an English one.
+ */
+
+export const CHECK_IN_KEYWORDS = ['check-in', 'check in', 'nhận phòng', 'arrivée', 'anreise', 'llegada', 'entrada', 'arrivo', 'チェックイン', '入住', '체크인', 'เช็คอิน'];
+
+// Checked in order, first match wins (e.g. "Cancellation/prepayment" before "payment").
+// Latin-script keywords match whole words only, so list plurals and compounds separately.
+const RULE_KEYWORDS = [
+  ['checkIn', CHECK_IN_KEYWORDS],
+  ['checkOut', ['check-out', 'check out', 'trả phòng', 'départ', 'abreise', 'salida', 'saída', 'partenza', 'チェックアウト', '退房', '체크아웃', 'เช็คเอาท์']],
+  ['cancellation', ['cancellation', 'prepayment', 'hủy', 'thanh toán trước', 'annulation', 'stornierung', 'cancelación', 'cancelamento', 'cancellazione', 'キャンセル', '取消', '취소']],
+  ['ageRestriction', ['age restriction', 'giới hạn độ tuổi', "restriction d'âge", 'altersbeschränkung', 'restricción de edad', 'restrição de idade', 'limiti di età', '年齢制限', '年龄限制', '연령 제한']],
+  ['children', ['children', 'child', 'beds', 'trẻ em', 'enfants', 'kinder', 'niños', 'crianças', 'bambini', '子供', '儿童', '아동']],
+  ['pets', ['pet', 'pets', 'vật nuôi', 'thú cưng', 'animaux', 'haustiere', 'mascotas', 'animais', 'animali', 'ペット', '宠物', '반려동물']],
+  ['payment', ['payment', 'cards accepted', 'thanh toán', 'paiement', 'zahlung', 'zahlungsmethoden', 'pago', 'pagamento', '支払', '付款', '결제']],
+  ['parties', ['parties', 'party', 'tiệc', 'fêtes', 'partys', 'fiestas', 'festas', 'feste', 'パーティー', '派对', '파티']],
+  ['quietHours', ['quiet hours', 'giờ yên lặng', 'heures calmes', 'ruhezeiten', 'horas de silencio', 'horário de silêncio', 'ore di silenzio', '静粛時間', '安静时间', '조용한 시간']],
+  ['smoking', ['smoking', 'hút thuốc', 'fumeurs', 'rauchen', 'fumar', 'fumo', '喫煙', '吸烟', '흡연']],
+  ['groups', ['group', 'groups', 'nhóm', 'groupes', 'gruppen', 'grupos', 'gruppi', 'グループ', '团体', '단체']],
+  ['deposit', ['deposit', 'đặt cọc', 'caution remboursable', 'dépôt de garantie', 'kaution', 'depósito', 'deposito', 'デポジット', '押金', '보증금']],
+];
+
+const LATIN_LETTER = /\p{Script=Latin}/u;
+
+// Keywords in other scripts match anywhere: Japanese, Chinese and Thai do not separate
+// words with spaces, and Korean attaches particles to them
+const toMatcher = (keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return LATIN_LETTER.test(keyword)
+    ? new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u')
+    : new RegExp(escaped, 'u');
+};
+
+const RULE_MATCHERS = RULE_KEYWORDS.map(([key, keywords]) => [key, keywords.map(toMatcher)]);
+
+// Heading of the policies section, used to find it on localized pages
+export const HOUSE_RULES_HEADINGS = [
+  'house rules', 'policies', 'nội quy', 'quy tắc chung', 'chính sách', 'règlement intérieur', 'hausordnung',
+  'normas de la casa', 'regras da casa', 'regole della casa', 'ハウスルール', '入住须知', '숙소 이용 규칙',
+];
+
+// A single time is an end time when one of these precedes or follows it
+const UNTIL_WORDS = /until|before|up to|đến|trước|bis|jusqu|hasta|até|fino|まで|之前|까지/i;
+
+/**
+ * Normalized key for a rule label, e.g. "Cancellation/ prepayment" -> "cancellation"
+ * Unknown labels get a camelCase key built from the label.
+ */
+export function normalizeRuleKey(label) {
+  const lower = label.toLowerCase();
+  for (const [key, matchers] of RULE_MATCHERS) {
+    if (matchers.some(matcher => matcher.test(lower))) {
+      return key;
+    }
+  }
+
+  const words = lower
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return 'other';
+  return words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+/**
+ * Times in a rule text as HH:MM, in the order they appear
+ * Accepts 14:00, 14.00, 14h00, 2:00 PM and 2 PM; bare numbers are ignored.
+ */
+function findTimes(text) {
+  const times = [];
+  for (const match of text.matchAll(/\b(\d{1,2})(?:[:.h](\d{2}))?\s*([ap])?(\.?m\.?\b)?/gi)) {
+    const [, hourText, minutes, meridiem, meridiemRest] = match;
+    const isAmPm = Boolean(meridiem && meridiemRest);
+    if (!minutes && !isAmPm) continue;
+
+    let hour = parseInt(hourText, 10);
+    if (isAmPm) {
+      const pm = meridiem.toLowerCase() === 'p';
+      if (hour === 12) hour = pm ? 12 : 0;
+      else if (pm) hour += 12;
+    }
+    if (hour > 24 || (minutes && parseInt(minutes, 10) > 59)) continue;
+    times.push(`${String(hour).padStart(2, '0')}:${minutes || '00'}`);
+  }
+  return times;
+}
+
+/**
+ * Parse a check-in/check-out text into { from, until }, null when it has no time
+ * "From 14:00 to 23:00" -> { from: '14:00', until: '23:00' }
+ * "Until 12:00"         -> { from: null, until: '12:00' }
+ * @param {string} value - rule text
+ * @param {string} label - rule label, which may carry the direction ("Check-out until")
+ */
+export function parseTimeRange(value, label = '') {
+  const times = findTimes(value || '');
+  if (times.length === 0) return null;
+  if (times.length >= 2) return { from: times[0], until: times[1] };
+
+  return UNTIL_WORDS.test(`${label} ${value}`)
+    ? { from: null, until: times[0] }
+    : { from: times[0], until: null };
+}
+
+/**
+ * Build the houseRules result from scraped sections, null when there are none
+ * @param {{ label: string, value: string }[]} sections
+ * @returns {Object|null} { rules: [{ key, label, value }], checkIn, checkOut, pets, checkInTime, checkOutTime }
+ */
+export function buildHouseRules(sections) {
+  const rules = sections
+    .filter(section => section.label && section.value)
+    .map(section => ({ key: normalizeRuleKey(section.label), label: section.label, value: section.value }));
+  if (rules.length === 0) return null;
+
+  const houseRules = { rules };
+  const findRule = key => rules.find(rule => rule.key === key);
+
+  // Text of the common rules at the top level, as before the full list existed
+  for (const key of ['checkIn', 'checkOut', 'pets']) {
+    const rule = findRule(key);
+    if (rule) houseRules[key] = rule.value;
+  }
+
+  for (const key of ['checkIn', 'checkOut']) {
+    const rule = findRule(key);
+    const range = rule && parseTimeRange(rule.value, rule.label);
+    if (range) houseRules[`${key}Time`] = range;
+  }
+
+  return houseRules;
+}
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CrawlCancelledError } from './errors.js';
+
+/**
+ * Image downloader
+ * Saves hotel images into a folder, one file per distinct image. Files are
+ * named by content hash, so the same photo served under two URLs (or a
+ * re-crawl of the same hotel) is stored once.
+ */
+
+const DOWNLOAD_TIMEOUT = 30000;
+const PARALLEL_DOWNLOADS = 3;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/**
+ * Read width/height from JPEG, PNG, GIF or WebP bytes, null when unknown
+ */
+export function getImageSize(buffer) {
+  // PNG: IHDR chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Folder name for a hotel, e.g. booking-vn-mekong-lodge
+ */
+export function getHotelFolderName(url, site = null) {
+  const { pathname } = new URL(url);
+  const slug = pathname
+    .replace(/(\.[a-z]{2}(-[a-z]{2})?)?\.html$/i, '')
+    .split('/')
+    .filter(part => part && part !== 'hotel' && !/^[a-z]{2}-[a-z]{2}$/i.test(part))
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  return [site, slug || 'hotel'].filter(Boolean).join('-');
+}
+
+/**
+ * Fetch one URL into a buffer
+ */
+async function fetchImage(url, { headers, signal }) {
+  const timeout = AbortSignal.timeout(DOWNLOAD_TIMEOUT);
+  const response = await fetch(url, {
+    headers,
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  return { buffer: Buffer.from(await response.arrayBuffer()), contentType };
+}
+
+/**
+ * Download images into a folder, largest size first, skipping duplicate content
+ * @param {string[]} urls - image URLs as returned by getImages()
+ * @param {string} dir - target folder, created if missing
+ * @param {Object} options
+ * @param {Function} options.toFullSize - url => URL of the largest rendition (falls back to url on failure)
+ * @param {Object} options.headers - request headers (User-Agent, Referer)
+ * @param {AbortSignal} options.signal - stops between and during downloads
+ * @param {Function} options.onProgress - ({ done, total, saved, duplicates, failed }) => void
+ * @returns {Promise<{ images: Object[], duplicates: number, failed: string[] }>}
+ */
+export async function downloadImages(urls, dir, { toFullSize = url => url, headers = {}, signal = null, onProgress = null } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const images = [];
+  const failed = [];
+  const seen = new Set();
+  let duplicates = 0;
+  let done = 0;
+  let next = 0;
+
+  const downloadOne = async (url) => {
+    const candidates = [...new Set([toFullSize(url), url])];
+    let download = null;
+    let sourceUrl = null;
+    for (const candidate of candidates) {
+      try {
+        download = await fetchImage(candidate, { headers, signal });
+        sourceUrl = candidate;
+        break;
+      } catch (error) {
+        if (signal && signal.aborted) throw new CrawlCancelledError();
+      }
+    }
+    if (!download) {
+      failed.push(url);
+      return;
+    }
+
+    const hash = crypto.createHash('sha256').update(download.buffer).digest('hex');
+    if (seen.has(hash)) {
+      duplicates++;
+      return;
+    }
+    seen.add(hash);
+
+    const extension = EXTENSIONS[download.contentType] || path.extname(new URL(sourceUrl).pathname).slice(1) || 'jpg';
+    const file = `${hash.slice(0, 16)}.${extension}`;
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, download.buffer);
+    }
+
+    const size = getImageSize(download.buffer);
+    images.push({
+      url,
+      sourceUrl,
+      path: filePath,
+      file,
+      width: size ? size.width : null,
+      height: size ? size.height : null,
+      bytes: download.buffer.length,
+      hash,
+      order: urls.indexOf(url),
+    });
+  };
+
+  const worker = async () => {
+    while (next < urls.length) {
+      if (signal && signal.aborted) throw new CrawlCancelledError();
+      const url = urls[next++];
+      await downloadOne(url);
+      done++;
+      if (typeof onProgress === 'function') {
+        onProgress({ done, total: urls.length, saved: images.length, duplicates, failed: failed.length });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(PARALLEL_DOWNLOADS, urls.length) }, worker));
+
+  // Keep gallery order regardless of which download finished first
+  images.sort((a, b) => a.order - b.order);
+  return { images: images.map(({ order, ...image }) => image), duplicates, failed };
+}
@@ -0,0 +1,45 @@
+import BookingCrawler from './bookingCrawler.js';
+import AgodaCrawler from './agodaCrawler.js';
+
+/**
+ * Crawler registry
+ * Maps hotel URLs to the site adapter that handles them. Adapters extend
+ * BaseCrawler and declare `siteId`, `siteName` and `urlPatterns`.
+ */
+
+const crawlers = [BookingCrawler, AgodaCrawler];
+
+/**
+ * Register a site adapter. Later registrations take precedence.
+ */
+export function registerCrawler(CrawlerClass) {
+  if (!CrawlerClass || !CrawlerClass.siteId || typeof CrawlerClass.matches !== 'function') {
+    throw new Error('Crawler must extend BaseCrawler and set siteId and urlPatterns');
+  }
+  const index = crawlers.findIndex(c => c.siteId === CrawlerClass.siteId);
+  if (index !== -1) {
+    crawlers.splice(index, 1);
+  }
+  crawlers.unshift(CrawlerClass);
+}
+
+/**
+ * Find the adapter for a URL, or null when no site matches
+ */
+export function getCrawlerForUrl(url) {
+  return crawlers.find(CrawlerClass => CrawlerClass.matches(url)) || null;
+}
+
+/**
+ * Find the adapter by site id, or null when the site is not registered
+ */
+export function getCrawlerForSite(siteId) {
+  return crawlers.find(CrawlerClass => CrawlerClass.siteId === siteId) || null;
+}
+
+/**
+ * List registered sites
+ */
+export function getSupportedSites() {
+  return crawlers.map(CrawlerClass => ({ id: CrawlerClass.siteId, name: CrawlerClass.siteName }));
+}
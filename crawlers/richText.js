@@ -0,0 +1,168 @@
+/**
+ * Rich text helpers for description fields
+ * Every description is returned in two variants:
+ *   html - sanitized HTML: <p>, <br>, <ul>/<ol>/<li>, <h4> and the inline
+ *          tags in INLINE_TAGS, without attributes
+ *   text - plain text that reads as Markdown: paragraphs separated by a
+ *          blank line, list items as "- item" / "1. item"
+ */
+
+// Inline formatting kept in the HTML variant, everything else is unwrapped
+export const INLINE_TAGS = ['b', 'strong', 'i', 'em', 'u'];
+
+/**
+ * Extract the first matching element as { html, text, selector }, null when none has text
+ * Runs inside the page: pass it to page.evaluate() with (selectors, INLINE_TAGS).
+ * @param {string[]} selectors - tried in order
+ * @param {string[]} inlineTags - inline tags to keep
+ */
+export function extractRichText(selectors, inlineTags) {
+  const SKIPPED = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'SVG', 'IMG', 'IFRAME'];
+  const BLOCKS = ['P', 'DIV', 'SECTION', 'ARTICLE', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TABLE', 'TR'];
+  const HEADINGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+  const blockSelector = BLOCKS.join(', ').toLowerCase();
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const toBlocks = (root) => {
+    const blocks = [];
+    let current = null;
+    const listStack = [];
+
+    const open = (type) => {
+      current = { type, list: listStack[listStack.length - 1] || null, html: '', text: '' };
+      blocks.push(current);
+    };
+    const close = () => { current = null; };
+
+    const walk = (node) => {
+      if (node.nodeType === 3) {
+        const value = node.nodeValue.replace(/\s+/g, ' ');
+        if (!value.trim() && !current) return;
+        if (!current) open('p');
+        current.html += escape(value);
+        current.text += value;
+        return;
+      }
+      if (node.nodeType !== 1) return;
+
+      const tag = node.tagName.toUpperCase();
+      if (SKIPPED.includes(tag)) return;
+      if (tag === 'BR') {
+        if (current) {
+          current.html += '<br>';
+          current.text += '\n';
+        }
+        return;
+      }
+
+      if (tag === 'UL' || tag === 'OL') {
+        close();
+        listStack.push(tag.toLowerCase());
+        node.childNodes.forEach(walk);
+        listStack.pop();
+        close();
+        return;
+      }
+
+      if (BLOCKS.includes(tag)) {
+        close();
+        // Blocks holding other blocks are only wrappers
+        if (node.querySelector(blockSelector)) {
+          node.childNodes.forEach(walk);
+        } else {
+          open(tag === 'LI' ? 'li' : HEADINGS.includes(tag) ? 'h' : 'p');
+          node.childNodes.forEach(walk);
+        }
+        close();
+        return;
+      }
+
+      // Formatting around block content would produce broken nesting, so it is unwrapped
+      const lower = tag.toLowerCase();
+      const keep = inlineTags.includes(lower) && !node.querySelector(blockSelector);
+      if (keep) {
+        if (!current) open('p');
+        current.html += `<${lower}>`;
+      }
+      const startBlock = current;
+      node.childNodes.forEach(walk);
+      if (keep && current === startBlock) current.html += `</${lower}>`;
+    };
+
+    walk(root);
+    return blocks
+      .map(block => ({
+        ...block,
+        html: block.html.replace(/\s+/g, ' ').replace(/^(\s|<br>)+|(\s|<br>)+$/g, '').replace(/\s*<br>\s*/g, '<br>'),
+        text: block.text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'),
+      }))
+      .filter(block => block.text);
+  };
+
+  const render = (blocks) => {
+    const html = [];
+    const text = [];
+    let list = null;
+    let index = 0;
+
+    for (const block of blocks) {
+      const listTag = block.type === 'li' ? block.list || 'ul' : null;
+      if (list && listTag !== list.tag) {
+        html.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`);
+        text.push(list.lines.join('\n'));
+        list = null;
+      }
+      if (listTag) {
+        if (!list) {
+          list = { tag: listTag, items: [], lines: [] };
+          index = 0;
+        }
+        index++;
+        list.items.push(`<li>${block.html}</li>`);
+        list.lines.push(`${listTag === 'ol' ? `${index}.` : '-'} ${block.text.replace(/\n/g, ' ')}`);
+      } else if (block.type === 'h') {
+        html.push(`<h4>${block.html}</h4>`);
+        text.push(block.text);
+      } else {
+        html.push(`<p>${block.html}</p>`);
+        text.push(block.text);
+      }
+    }
+    if (list) {
+      html.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`);
+      text.push(list.lines.join('\n'));
+    }
+    return { html: html.join(''), text: text.join('\n\n') };
+  };
+
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (!element) continue;
+    const { html, text } = render(toBlocks(element));
+    if (text) {
+      return { html, text, selector };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build both variants from plain text (e.g. a JSON-LD description), null when empty
+ * Blank lines separate paragraphs, single line breaks become <br>.
+ */
+export function richTextFromPlain(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const paragraphs = value
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean))
+    .filter(lines => lines.length > 0);
+
+  if (paragraphs.length === 0) return null;
+  return {
+    html: paragraphs.map(lines => `<p>${lines.map(escape).join('<br>')}</p>`).join(''),
+    text: paragraphs.map(lines => lines.join('\n')).join('\n\n'),
+  };
+}
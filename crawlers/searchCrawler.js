@@ -0,0 +1,159 @@
+import BookingCrawler from './bookingCrawler.js';
+import { BLOCK_SELECTORS, BLOCK_TITLES, findBlockMarker } from './blockDetection.js';
+
+/**
+ * Booking.com Search Results Crawler
+ * Walks a search results / city / region listing page by page and collects
+ * hotel URLs with the data shown on each property card.
+ */
+
+const RESULTS_PER_PAGE = 25;
+
+/**
+ * Add Booking.com filter parameters to a search URL
+ * @param {string} url - search results or listing URL
+ * @param {Object} filters - { minReviewScore, stars, freeCancellation }
+ */
+export function buildSearchUrl(url, filters = {}) {
+  const searchUrl = new URL(url);
+  const nflt = (searchUrl.searchParams.get('nflt') || '').split(';').filter(Boolean);
+
+  // Booking filters review scores in steps of 10 (review_score=80 means 8+)
+  if (filters.minReviewScore) {
+    nflt.push(`review_score=${Math.floor(filters.minReviewScore) * 10}`);
+  }
+  for (const star of filters.stars || []) {
+    nflt.push(`class=${star}`);
+  }
+  if (filters.freeCancellation) {
+    nflt.push('fc=2');
+  }
+
+  if (nflt.length > 0) {
+    searchUrl.searchParams.set('nflt', [...new Set(nflt)].join(';'));
+  }
+  return searchUrl.toString();
+}
+
+/**
+ * Strip tracking parameters so the same hotel is only queued once
+ */
+export function normalizeHotelUrl(url) {
+  const hotelUrl = new URL(url);
+  return `${hotelUrl.origin}${hotelUrl.pathname}`;
+}
+
+class SearchCrawler extends BookingCrawler {
+  /**
+   * Why the current results page looks like a challenge or block page, null otherwise
+   * Results pages have no hotel schema or name, so only challenge markers count.
+   */
+  async detectBlock() {
+    return this.page.evaluate(findBlockMarker, BLOCK_SELECTORS, BLOCK_TITLES);
+  }
+
+  /**
+   * Get hotel cards on the current results page
+   */
+  async getPropertyCards() {
+    try {
+      return await this.page.evaluate(() => {
+        const cards = document.querySelectorAll('[data-testid="property-card"]');
+        return Array.from(cards).map(card => {
+          const link = card.querySelector('a[data-testid="title-link"]') || card.querySelector('a[href*="/hotel/"]');
+          const title = card.querySelector('[data-testid="title"]');
+          const price = card.querySelector('[data-testid="price-and-discounted-price"]');
+          const review = card.querySelector('[data-testid="review-score"]');
+
+          const reviewText = review ? review.textContent.replace(/\s+/g, ' ').trim() : '';
+          const scoreMatch = reviewText.match(/\d+(?:[.,]\d+)?/);
+          const countMatch = reviewText.match(/([\d,.]+)\s+reviews?/i);
+
+          return {
+            url: link ? link.href : null,
+            name: title ? title.textContent.trim() : null,
+            priceText: price ? price.textContent.replace(/\s+/g, ' ').trim() : null,
+            reviewScore: scoreMatch ? parseFloat(scoreMatch[0].replace(',', '.')) : null,
+            reviewCount: countMatch ? parseInt(countMatch[1].replace(/[,.]/g, ''), 10) : null,
+          };
+        });
+      });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Collect hotels from a search results URL
+   * @param {string} url - search results or city/region listing URL
+   * @param {Object} options - { maxPages, filters }
+   * @returns {Promise<{ url: string, pages: number, hotels: Object[] }>}
+   */
+  async crawlSearch(url, { maxPages = 5, filters = {} } = {}) {
+    try {
+      if (!SearchCrawler.matches(url)) {
+        throw new Error(`Not a Booking.com search results or listing URL: ${url}`);
+      }
+      if (!this.page) {
+        await this.init();
+      }
+
+      const searchUrl = buildSearchUrl(url, filters);
+      const hotels = new Map();
+      const seen = new Set(); // Includes hotels dropped by filters
+      let pages = 0;
+
+      for (let pageIndex = 0; pageIndex < maxPages; pageIndex++) {
+        const pageUrl = new URL(searchUrl);
+        pageUrl.searchParams.set('offset', String(pageIndex * RESULTS_PER_PAGE));
+
+        this.report('navigation', Math.round((pageIndex / maxPages) * 100), `Loading results page ${pageIndex + 1}...`);
+        await this.openPage(pageUrl.toString());
+
+        if (!(await this.waitForElement('[data-testid="property-card"]', 10000))) {
+          this.report('navigation', Math.round(((pageIndex + 1) / maxPages) * 100), `No results on page ${pageIndex + 1}`, 'warning');
+          break;
+        }
+
+        const cards = await this.getPropertyCards();
+        pages++;
+
+        let unseen = 0;
+        let added = 0;
+        for (const card of cards) {
+          if (!card.url || !card.url.includes('/hotel/')) continue;
+
+          const hotelUrl = normalizeHotelUrl(card.url);
+          if (seen.has(hotelUrl)) continue;
+          seen.add(hotelUrl);
+          unseen++;
+
+          if (filters.minReviewScore && (card.reviewScore || 0) < filters.minReviewScore) continue;
+          hotels.set(hotelUrl, { ...card, url: hotelUrl });
+          added++;
+        }
+
+        this.report('navigation', Math.round(((pageIndex + 1) / maxPages) * 100), `Page ${pageIndex + 1}: ${added} new hotels (${hotels.size} total)`);
+
+        // Past the last page Booking repeats the previous results
+        if (unseen === 0 || cards.length < RESULTS_PER_PAGE) break;
+
+        await this.sleep(1500);
+      }
+
+      return {
+        url: searchUrl,
+        pages,
+        hotels: [...hotels.values()],
+        crawledAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw this.toCrawlError(error);
+    }
+  }
+}
+
+// Listing pages only; not registered as a hotel crawler
+SearchCrawler.urlPatterns = [/^https?:\/\/([a-z0-9-]+\.)*booking\.com\/(searchresults|city|region|district|landmark)/i];
+
+export default SearchCrawler;
@@ -0,0 +1,131 @@
+import fs from 'fs';
+
+/**
+ * Selector profiles
+ * CSS selectors for each site live in crawlers/selectors/<site>.json so they
+ * can be fixed without touching extractor code. Every field is a selector
+ * chain (array of selectors, tried in order) or an object of chains.
+ *
+ * Users can override any chain from a JSON file shaped like
+ * `{ "booking": { "version": 2, "fields": { "facilities": { "groupItem": [...] } } } }`.
+ * The file is watched and changes apply to the next crawl.
+ */
+
+const profiles = new Map();
+let overridePath = null;
+
+/**
+ * Read a JSON file, returning null when it does not exist
+ */
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Whether a value is a chain: a non-empty array of selector strings
+ */
+function isChain(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(s => typeof s === 'string' && s.trim());
+}
+
+/**
+ * Merge override fields into bundled fields. Objects merge per key, chains are replaced.
+ * Invalid chains are skipped and reported in `errors`.
+ */
+function mergeFields(base, override, errors, prefix = '') {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (!(key in base)) {
+      errors.push(`Unknown field "${field}"`);
+    } else if (Array.isArray(base[key])) {
+      if (isChain(value)) {
+        merged[key] = value;
+      } else {
+        errors.push(`"${field}" must be a non-empty array of selectors`);
+      }
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = mergeFields(base[key], value, errors, field);
+    } else {
+      errors.push(`"${field}" must be an object of selector arrays`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Load the bundled profile for a site and apply user overrides
+ */
+function loadProfile(site) {
+  const bundled = readJson(new URL(`./selectors/${site}.json`, import.meta.url));
+  if (!bundled) {
+    return null;
+  }
+
+  const profile = { ...bundled, bundledVersion: bundled.version, source: 'bundled', errors: [] };
+  if (!overridePath) {
+    return profile;
+  }
+
+  try {
+    const overrides = readJson(overridePath);
+    const siteOverride = overrides && overrides[site];
+    if (siteOverride && siteOverride.fields && Object.keys(siteOverride.fields).length > 0) {
+      profile.fields = mergeFields(bundled.fields, siteOverride.fields, profile.errors);
+      profile.version = siteOverride.version || bundled.version;
+      profile.source = 'override';
+    }
+  } catch (error) {
+    profile.errors.push(`Failed to read overrides: ${error.message}`);
+  }
+  return profile;
+}
+
+/**
+ * Get the selector profile for a site, or null when the site has none
+ */
+export function getSelectorProfile(site) {
+  if (!profiles.has(site)) {
+    profiles.set(site, loadProfile(site));
+  }
+  return profiles.get(site);
+}
+
+/**
+ * Drop cached profiles so the next crawl re-reads bundled and override files
+ */
+export function reloadSelectorProfiles() {
+  profiles.clear();
+}
+
+/**
+ * Set the user override file and reload whenever it changes
+ * @param {string|null} filePath - JSON file keyed by site id
+ * @param {Function} onReload - called after the file changed
+ */
+export function setSelectorOverridePath(filePath, onReload = null) {
+  if (overridePath) {
+    fs.unwatchFile(overridePath);
+  }
+  overridePath = filePath;
+  reloadSelectorProfiles();
+
+  if (filePath) {
+    fs.watchFile(filePath, { interval: 1000 }, () => {
+      reloadSelectorProfiles();
+      if (typeof onReload === 'function') {
+        onReload();
+      }
+    });
+  }
+}
+
+/**
+ * Current override file path
+ */
+export function getSelectorOverridePath() {
+  return overridePath;
+}
@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createRequire } from 'module';
+import BookingCrawler from '../bookingCrawler.js';
+import SearchCrawler from '../searchCrawler.js';
+import { CrawlBlockedError } from '../errors.js';
+
+/**
+ * Block page tests
+ * A local HTTP server stands in for the site and answers with rate limits,
+ * challenge pages or a normal hotel page, so nothing leaves the machine.
+ * The queue tests use a fake crawl and do not need Chrome.
+ *
+ *   npm test                      runs with the other crawler tests
+ *   CHROME_PATH=/path/to/chrome   use a local Chrome instead of bundled Chromium
+ */
+
+const require = createRequire(import.meta.url);
+const QueueService = require('../../services/queueService.cjs');
+
+const HOTEL_PAGE = `<html><head><title>Example Hotel</title>
+<script type="application/ld+json">{"@type": "Hotel", "name": "Example Hotel"}</script>
+</head><body><h2 class="pp-header__title">Example Hotel</h2></body></html>`;
+
+const RESULTS_PAGE = `<html><head><title>Hotels in Hanoi</title></head>
+<body><div data-testid="property-card"><a data-testid="title-link" href="/hotel/vn/example.html">Example Hotel</a></div></body></html>`;
+
+const PAGES = {
+  '/hotel.html': [200, HOTEL_PAGE],
+  '/results.html': [200, RESULTS_PAGE],
+  '/forbidden.html': [403, '<html><body>Forbidden</body></html>'],
+  '/rate-limited.html': [429, '<html><body>Too many requests</body></html>'],
+  '/just-a-moment.html': [200, '<html><head><title>Just a moment...</title></head><body></body></html>'],
+  '/captcha.html': [200, '<html><head><title>Example Hotel</title></head><body><div class="g-recaptcha"></div></body></html>'],
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [status, body] = PAGES[req.url] || [404, ''];
+    res.writeHead(status, { 'Content-Type': 'text/html' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+const crawlerOptions = () => ({
+  headless: true,
+  executablePath: process.env.CHROME_PATH || null,
+  timeout: 15000,
+});
+
+/**
+ * Open a page with a fresh crawler and return the error it threw, null when it loaded
+ */
+async function openWith(CrawlerClass, path) {
+  const crawler = new CrawlerClass(crawlerOptions());
+  try {
+    await crawler.init();
+    return await crawler.openPage(`${baseUrl}${path}`).then(() => null, error => error);
+  } finally {
+    await crawler.close();
+  }
+}
+
+test('403 and 429 responses are reported as blocked', async () => {
+  for (const [path, status] of [['/forbidden.html', 403], ['/rate-limited.html', 429]]) {
+    const error = await openWith(BookingCrawler, path);
+    assert.ok(error instanceof CrawlBlockedError, `${path}: ${error && error.message}`);
+    assert.equal(error.code, 'BLOCKED');
+    assert.equal(error.reason, `HTTP ${status}`);
+    assert.equal(error.url, `${baseUrl}${path}`);
+  }
+});
+
+test('challenge pages are reported as blocked', async () => {
+  const titled = await openWith(BookingCrawler, '/just-a-moment.html');
+  assert.equal(titled && titled.code, 'BLOCKED');
+  assert.match(titled.reason, /just a moment/i);
+
+  const captcha = await openWith(BookingCrawler, '/captcha.html');
+  assert.equal(captcha && captcha.code, 'BLOCKED');
+  assert.equal(captcha.reason, 'challenge element .g-recaptcha');
+});
+
+test('hotel and search results pages are not mistaken for blocks', async () => {
+  assert.equal(await openWith(BookingCrawler, '/hotel.html'), null);
+  // Results pages have no hotel schema, only challenge markers count there
+  assert.equal(await openWith(SearchCrawler, '/results.html'), null);
+
+  const error = await openWith(SearchCrawler, '/just-a-moment.html');
+  assert.equal(error && error.code, 'BLOCKED');
+});
+
+test('search crawls reject URLs that are not search or listing pages', async () => {
+  const crawler = new SearchCrawler(crawlerOptions());
+  // Rejected before Chrome is started
+  await assert.rejects(crawler.crawlSearch('https://www.booking.com/hotel/vn/example.html'), /Not a Booking\.com search/);
+  assert.equal(crawler.page, null);
+  assert.ok(SearchCrawler.matches('https://www.booking.com/searchresults.html?ss=Hanoi'));
+  assert.ok(SearchCrawler.matches('https://www.booking.com/city/vn/hanoi.html'));
+});
+
+/**
+ * Queue whose crawls all fail with the given error, with the events it sent
+ */
+function blockedQueue(error, config = {}) {
+  const sent = [];
+  const queue = new QueueService({
+    runTask: async () => { throw error; },
+    send: (channel, payload) => sent.push({ channel, payload }),
+  });
+  queue.setConfig({ maxAttempts: 3, retryBaseDelay: 0, delayPerLink: 0, delayJitter: 0, batchWait: 0, ...config });
+  return { queue, sent };
+}
+
+test('a blocked crawl pauses the queue and alerts the renderer', async () => {
+  const url = 'https://www.booking.com/hotel/vn/example.html';
+  const { queue, sent } = blockedQueue(new CrawlBlockedError('HTTP 429', url, 429), { pauseOnBlock: true });
+  const [task, next] = queue.addTasks([url, 'https://www.booking.com/hotel/vn/other.html']);
+
+  queue.isRunning = true;
+  await queue.processTask(task);
+
+  assert.equal(queue.isRunning, false);
+  assert.equal(queue.blocked.taskId, task.id);
+  assert.equal(queue.blocked.reason, 'HTTP 429');
+  assert.ok(sent.some(event => event.channel === 'queue-blocked' && event.payload.url === url));
+
+  // The block counts as a retryable attempt; nothing else starts while paused
+  assert.equal(task.status, QueueService.TaskStatus.WAITING);
+  assert.equal(next.status, QueueService.TaskStatus.WAITING);
+  queue.shutdown();
+});
+
+test('without pauseOnBlock a blocked crawl is only retried', async () => {
+  const url = 'https://www.booking.com/hotel/vn/example.html';
+  const { queue, sent } = blockedQueue(new CrawlBlockedError('challenge element .g-recaptcha', url), { pauseOnBlock: false });
+  const [task] = queue.addTasks([url]);
+
+  queue.isRunning = true;
+  await queue.processTask(task);
+
+  assert.equal(queue.isRunning, true);
+  assert.equal(queue.blocked, null);
+  assert.ok(!sent.some(event => event.channel === 'queue-blocked'));
+  assert.equal(task.status, QueueService.TaskStatus.WAITING);
+  queue.shutdown();
+});
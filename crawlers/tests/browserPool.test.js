@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BrowserPool from '../browserPool.js';
+import { USER_AGENT_PROFILES } from '../userAgents.js';
+
+/**
+ * Browser pool tests
+ * The pool takes its launcher as an option, so these run against fake
+ * browsers that only count launches and contexts: no Chrome needed.
+ */
+
+function fakeLauncher() {
+  const launches = [];
+  const launch = async (launchOptions) => {
+    let connected = true;
+    const browser = {
+      launchOptions,
+      isConnected: () => connected,
+      on: () => {},
+      close: async () => { connected = false; },
+      createBrowserContext: async () => ({
+        newPage: async () => ({}),
+        close: async () => {},
+      }),
+    };
+    launches.push(browser);
+    return browser;
+  };
+  return { launch, launches };
+}
+
+const taskOptions = (profile) => ({
+  headless: true,
+  executablePath: '/usr/bin/chrome',
+  userAgent: profile.userAgent,
+  viewport: profile.viewport,
+  acceptLanguage: profile.acceptLanguage,
+});
+
+test('rotating user agent profiles reuses the pooled browser', async () => {
+  const { launch, launches } = fakeLauncher();
+  const pool = new BrowserPool({ size: 1, launch });
+
+  for (const profile of USER_AGENT_PROFILES) {
+    const { release } = await pool.acquire(taskOptions(profile));
+    await release();
+  }
+
+  assert.equal(launches.length, 1);
+  await pool.closeAll();
+});
+
+test('changing headless relaunches the pooled browser', async () => {
+  const { launch, launches } = fakeLauncher();
+  const pool = new BrowserPool({ size: 1, launch });
+  const [profile] = USER_AGENT_PROFILES;
+
+  const first = await pool.acquire(taskOptions(profile));
+  await first.release();
+  const second = await pool.acquire({ ...taskOptions(profile), headless: false });
+  await second.release();
+
+  assert.equal(launches.length, 2);
+  assert.equal(launches[0].isConnected(), false);
+  await pool.closeAll();
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import puppeteer from 'puppeteer';
+import { getLaunchOptions } from '../baseCrawler.js';
+import { getCrawlerForSite } from '../registry.js';
+import { listFixtures, runExtractors, readGolden, writeGolden } from './fixtureHarness.js';
+
+/**
+ * Extractor regression tests
+ * Loads each saved page from crawlers/fixtures/ with page.setContent (all
+ * network requests blocked) and checks every extractor against its golden
+ * JSON. One subtest per extractor, so a failure names the field that broke.
+ *
+ *   npm test                      compare with golden JSON
+ *   UPDATE_GOLDEN=1 npm test      re-record golden JSON after an intended change
+ *   CHROME_PATH=/path/to/chrome   use a local Chrome instead of bundled Chromium
+ */
+
+const updateGolden = process.env.UPDATE_GOLDEN === '1';
+let browser;
+
+before(async () => {
+  browser = await puppeteer.launch(getLaunchOptions({
+    headless: true,
+    executablePath: process.env.CHROME_PATH || null,
+  }));
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+for (const fixture of listFixtures()) {
+  test(`${fixture.site}/${fixture.name}`, async (t) => {
+    const CrawlerClass = getCrawlerForSite(fixture.site);
+    assert.ok(CrawlerClass, `No crawler registered for site "${fixture.site}"`);
+
+    const page = await browser.newPage();
+    try {
+      // Offline: images, fonts and scripts referenced by the snapshot are never fetched
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.url().startsWith('data:')) {
+          request.continue();
+        } else {
+          request.abort();
+        }
+      });
+      await page.setContent(fs.readFileSync(fixture.htmlPath, 'utf-8'), { waitUntil: 'domcontentloaded' });
+
+      const crawler = new CrawlerClass();
+      crawler.page = page;
+      const actual = await runExtractors(crawler);
+
+      if (updateGolden) {
+        writeGolden(fixture, actual);
+      }
+      const expected = readGolden(fixture);
+      assert.ok(expected, `No golden file ${fixture.goldenPath}, run with UPDATE_GOLDEN=1 to record it`);
+
+      for (const [extractor, value] of Object.entries(actual)) {
+        await t.test(extractor, () => {
+          assert.ok(extractor in expected, `No golden value for ${extractor}, run with UPDATE_GOLDEN=1 to record it`);
+          assert.deepStrictEqual(value, expected[extractor]);
+        });
+      }
+
+      for (const extractor of Object.keys(expected).filter(name => !(name in actual))) {
+        await t.test(extractor, () => {
+          assert.fail(`${extractor} has a golden value but no longer exists on ${CrawlerClass.name}`);
+        });
+      }
+    } finally {
+      await page.close();
+    }
+  });
+}
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import BaseCrawler from '../baseCrawler.js';
+
+/**
+ * Fixture harness
+ * Runs every `get*` extractor of a site adapter against a saved page and
+ * compares the output with golden JSON, one value per extractor:
+ *
+ *   crawlers/fixtures/<site>/<name>.html           saved page
+ *   crawlers/fixtures/<site>/<name>.expected.json  { "getFacilities": [...], ... }
+ *
+ * The harness only needs a page with `evaluate()`, so it does not care how
+ * the HTML was loaded.
+ */
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// Extractors that navigate away from the snapshot (gallery popup, review list pages)
+const NAVIGATING_EXTRACTORS = {
+  booking: ['getImages', 'getReviews'],
+};
+
+/**
+ * List saved pages as { site, name, htmlPath, goldenPath }
+ */
+export function listFixtures() {
+  const fixtures = [];
+  for (const site of fs.readdirSync(FIXTURES_DIR).sort()) {
+    const siteDir = path.join(FIXTURES_DIR, site);
+    if (!fs.statSync(siteDir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(siteDir).sort()) {
+      if (!file.endsWith('.html')) continue;
+      const name = file.slice(0, -'.html'.length);
+      fixtures.push({
+        site,
+        name,
+        htmlPath: path.join(siteDir, file),
+        goldenPath: path.join(siteDir, `${name}.expected.json`),
+      });
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Names of the `get*` extractors declared by an adapter (BaseCrawler helpers excluded)
+ */
+export function getExtractorNames(CrawlerClass) {
+  const skipped = NAVIGATING_EXTRACTORS[CrawlerClass.siteId] || [];
+  const names = new Set();
+
+  let proto = CrawlerClass.prototype;
+  while (proto && proto !== BaseCrawler.prototype) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name.startsWith('get') && typeof proto[name] === 'function' && !skipped.includes(name)) {
+        names.add(name);
+      }
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return [...names].sort();
+}
+
+/**
+ * Run each extractor on the crawler's current page
+ * Extractors get the JSON-LD schema like in crawlHotel(); ones that do not use it ignore it.
+ * @returns {Promise<Object>} extractor name -> JSON-safe result
+ */
+export async function runExtractors(crawler) {
+  const schemaData = await crawler.getSchemaData();
+  const results = {};
+  for (const name of getExtractorNames(crawler.constructor)) {
+    const value = await crawler[name](schemaData);
+    results[name] = JSON.parse(JSON.stringify(value === undefined ? null : value));
+  }
+  return results;
+}
+
+/**
+ * Read the golden values of a fixture, null when none were recorded yet
+ */
+export function readGolden(fixture) {
+  if (!fs.existsSync(fixture.goldenPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(fixture.goldenPath, 'utf-8'));
+}
+
+/**
+ * Record the current extractor output as the golden values
+ */
+export function writeGolden(fixture, results) {
+  fs.writeFileSync(fixture.goldenPath, `${JSON.stringify(results, null, 2)}\n`, 'utf-8');
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRuleKey, parseTimeRange } from '../houseRules.js';
+
+/**
+ * House rules tests
+ * Rule keys are what users filter the House Rules sheet by, so a label must
+ * not pick up a key from a keyword hidden inside another word.
+ */
+
+test('English labels get their keys', () => {
+  assert.equal(normalizeRuleKey('Check-in'), 'checkIn');
+  assert.equal(normalizeRuleKey('Cancellation/ prepayment'), 'cancellation');
+  assert.equal(normalizeRuleKey('Children & Beds'), 'children');
+  assert.equal(normalizeRuleKey('Pets'), 'pets');
+  assert.equal(normalizeRuleKey('Pet policy'), 'pets');
+  assert.equal(normalizeRuleKey('Cards accepted at this hotel'), 'payment');
+  assert.equal(normalizeRuleKey('Refundable damage deposit'), 'deposit');
+  assert.equal(normalizeRuleKey('Non-smoking'), 'smoking');
+  assert.equal(normalizeRuleKey('Groups'), 'groups');
+});
+
+test('localized labels get the same keys', () => {
+  assert.equal(normalizeRuleKey('Nhận phòng'), 'checkIn');
+  assert.equal(normalizeRuleKey('Vật nuôi'), 'pets');
+  assert.equal(normalizeRuleKey('Đặt cọc'), 'deposit');
+  assert.equal(normalizeRuleKey('Haustiere'), 'pets');
+  assert.equal(normalizeRuleKey('Akzeptierte Zahlungsmethoden'), 'payment');
+  assert.equal(normalizeRuleKey('Caution remboursable en cas de dommages'), 'deposit');
+  assert.equal(normalizeRuleKey('ペット'), 'pets');
+  assert.equal(normalizeRuleKey('宠物'), 'pets');
+});
+
+test('keywords inside other words do not match', () => {
+  assert.equal(normalizeRuleKey('Carpet cleaning'), 'carpetCleaning');
+  assert.equal(normalizeRuleKey('Caution'), 'caution');
+  assert.equal(normalizeRuleKey('Petit-déjeuner'), 'petitDejeuner');
+  assert.equal(normalizeRuleKey('Competitions'), 'competitions');
+});
+
+test('unknown labels get a camelCase key', () => {
+  assert.equal(normalizeRuleKey('Internet access'), 'internetAccess');
+  assert.equal(normalizeRuleKey('Đưa đón sân bay'), 'duaDonSanBay');
+  assert.equal(normalizeRuleKey('!!!'), 'other');
+});
+
+test('check-in and check-out times', () => {
+  assert.deepEqual(parseTimeRange('From 14:00 to 23:00'), { from: '14:00', until: '23:00' });
+  assert.deepEqual(parseTimeRange('Until 12:00'), { from: null, until: '12:00' });
+  assert.deepEqual(parseTimeRange('From 2 PM'), { from: '14:00', until: null });
+  assert.equal(parseTimeRange('Flexible'), null);
+});
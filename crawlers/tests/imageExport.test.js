@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { downloadImages } from '../imageDownloader.js';
+
+/**
+ * Image download and ZIP export tests
+ * A local HTTP server stands in for the image CDN, so no Chrome and no
+ * network access are needed. Archives are read back with a small reader
+ * below instead of the writer's own code.
+ */
+
+const require = createRequire(import.meta.url);
+const { writeZip } = require('../../services/zipArchive.cjs');
+
+// PNG signature + IHDR with the given size: enough for getImageSize()
+const png = (width, height, seed) => {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  buffer[32] = seed;
+  return buffer;
+};
+
+const IMAGES = {
+  '/photo/lobby.png': png(1280, 720, 1),
+  '/photo/lobby-copy.png': png(1280, 720, 1), // Same photo under another URL
+  '/photo/max1024/pool.png': png(1024, 768, 2),
+  '/photo/max300/pool.png': png(300, 225, 2),
+};
+
+let server;
+let baseUrl;
+let tmpDir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const image = IMAGES[req.url];
+    if (!image) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(image);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotel-images-'));
+});
+
+after(async () => {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  if (tmpDir) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Read a stored (uncompressed) ZIP through its central directory
+ * @returns {{ name: string, data: Buffer, crc: number }[]}
+ */
+function readZip(filePath) {
+  const zip = fs.readFileSync(filePath);
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(offset), 0x02014b50, 'central directory header');
+    const crc = zip.readUInt32LE(offset + 16);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50, 'local file header');
+    assert.equal(zip.readUInt16LE(localOffset + 8), 0, 'stored without compression');
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    entries.push({ name, crc, data: zip.subarray(dataStart, dataStart + size) });
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+test('duplicate images are saved once and missing ones reported', async () => {
+  const dir = path.join(tmpDir, 'booking-vn-example');
+  const urls = [
+    `${baseUrl}/photo/max300/pool.png`,
+    `${baseUrl}/photo/lobby.png`,
+    `${baseUrl}/photo/lobby-copy.png`,
+    `${baseUrl}/photo/gone.png`,
+  ];
+
+  const toFullSize = url => url.replace('/max300/', '/max1024/');
+  const { images, duplicates, failed } = await downloadImages(urls, dir, { toFullSize });
+
+  assert.equal(duplicates, 1);
+  assert.deepEqual(failed, [`${baseUrl}/photo/gone.png`]);
+  assert.equal(fs.readdirSync(dir).length, 2);
+
+  // Gallery order, largest rendition when the CDN has it
+  assert.deepEqual(images.map(image => image.url), [urls[0], urls[1]]);
+  assert.equal(images[0].sourceUrl, `${baseUrl}/photo/max1024/pool.png`);
+  assert.deepEqual([images[0].width, images[0].height], [1024, 768]);
+  assert.ok(images.every(image => image.file.endsWith('.png') && fs.existsSync(image.path)));
+
+  // A re-crawl of the same hotel adds no files
+  await downloadImages(urls, dir, { toFullSize });
+  assert.equal(fs.readdirSync(dir).length, 2);
+});
+
+test('exported archive reads back with the files it was given', async () => {
+  const dir = path.join(tmpDir, 'export');
+  const { images } = await downloadImages([`${baseUrl}/photo/lobby.png`, `${baseUrl}/photo/max1024/pool.png`], dir);
+  const zipPath = path.join(tmpDir, 'images.zip');
+
+  const entries = images.map(image => ({ name: `booking-vn-example\\${image.file}`, path: image.path }));
+  assert.equal(writeZip(zipPath, entries), 2);
+
+  const archive = readZip(zipPath);
+  assert.deepEqual(archive.map(entry => entry.name), images.map(image => `booking-vn-example/${image.file}`));
+  for (const [index, entry] of archive.entries()) {
+    const original = fs.readFileSync(images[index].path);
+    assert.deepEqual(entry.data, original);
+    assert.equal(entry.crc, zlib.crc32(original));
+  }
+});
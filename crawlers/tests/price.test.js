@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice } from '../baseCrawler.js';
+
+/**
+ * Price parsing tests
+ * Booking shows prices with the separators of the page's locale.
+ */
+
+test('comma-grouped prices', () => {
+  assert.equal(parsePrice('VND 1,450,000'), 1450000);
+  assert.equal(parsePrice('US$1,234.50'), 1234.5);
+});
+
+test('dot-grouped prices with a decimal comma', () => {
+  assert.equal(parsePrice('₫ 1.234.567'), 1234567);
+  assert.equal(parsePrice('€ 1.234,50'), 1234.5);
+  assert.equal(parsePrice('€ 99,9'), 99.9);
+});
+
+test('space-grouped prices', () => {
+  assert.equal(parsePrice('1 234,50 zł'), 1234.5);
+  assert.equal(parsePrice('CHF 1\'234.50'), 1234.5);
+  assert.equal(parsePrice('1 450 000 ₫'), 1450000);
+});
+
+test('text around the amount is ignored', () => {
+  assert.equal(parsePrice('Price VND 1,450,000 for 2 nights'), 1450000);
+  assert.equal(parsePrice('€ 120'), 120);
+});
+
+test('no amount gives null', () => {
+  assert.equal(parsePrice(null), null);
+  assert.equal(parsePrice('Sold out'), null);
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+/**
+ * Result diff tests
+ * Per-field changes between two saved versions of a hotel, as shown in the
+ * History tab and the "changes since version N" log line.
+ */
+
+const require = createRequire(import.meta.url);
+const { diffResults, summarizeChanges, buildHistory } = require('../../services/resultDiff.cjs');
+const QueueService = require('../../services/queueService.cjs');
+
+const base = {
+  name: 'Example Hotel',
+  address: '1 Example Street',
+  rating: 4,
+  reviewSummary: { score: 8.6, reviewCount: 120, categories: [] },
+  latitude: 10.77,
+  longitude: 106.7,
+  about: '<p>Old description</p>',
+  aboutText: 'Old description',
+  facilities: [{ name: 'General', items: [{ name: 'Free WiFi' }, { name: 'Parking' }] }],
+  facilityList: ['Free WiFi', 'Parking'],
+  images: ['https://example.com/1.jpg'],
+  faqs: [{ question: 'Is there parking?', answer: 'Yes' }],
+  houseRules: { rules: [{ key: 'pets', label: 'Pets', value: 'Pets are not allowed.' }] },
+  hotelAreaInfo: [{ category: 'Nearby', items: [{ name: 'Market', distance: '200 m' }] }],
+};
+
+test('identical results have no changes', () => {
+  assert.deepEqual(diffResults(base, structuredClone(base)), []);
+});
+
+test('single values report before and after', () => {
+  const changes = diffResults(base, { ...base, name: 'Example Hotel & Spa', rating: 5 });
+  assert.deepEqual(changes, [
+    { field: 'name', label: 'Name', kind: 'value', before: 'Example Hotel', after: 'Example Hotel & Spa' },
+    { field: 'rating', label: 'Star rating', kind: 'value', before: 4, after: 5 },
+  ]);
+});
+
+test('nested objects are compared by the values inside them', () => {
+  const next = {
+    ...base,
+    reviewSummary: { ...base.reviewSummary, score: 8.8 },
+    houseRules: { rules: [{ key: 'pets', label: 'Pets', value: 'Pets are allowed on request.' }] },
+    latitude: 10.78,
+  };
+  assert.deepEqual(diffResults(base, next), [
+    { field: 'reviewScore', label: 'Review score', kind: 'value', before: 8.6, after: 8.8 },
+    { field: 'coordinates', label: 'Coordinates', kind: 'value', before: '10.77, 106.7', after: '10.78, 106.7' },
+    {
+      field: 'houseRules',
+      label: 'House rules',
+      kind: 'list',
+      added: ['Pets: Pets are allowed on request.'],
+      removed: ['Pets: Pets are not allowed.'],
+    },
+  ]);
+});
+
+test('list fields report the items added and removed, not their order', () => {
+  const next = {
+    ...base,
+    facilities: [
+      { name: 'General', items: [{ name: 'Parking' }, { name: 'Airport shuttle' }] },
+      { name: 'Outdoors', items: [{ name: 'Free WiFi' }] },
+    ],
+    facilityList: ['Parking', 'Airport shuttle', 'Free WiFi'],
+    images: ['https://example.com/2.jpg'],
+  };
+  assert.deepEqual(diffResults(base, next), [
+    { field: 'facilities', label: 'Facilities', kind: 'list', added: ['Airport shuttle'], removed: [] },
+    { field: 'images', label: 'Images', kind: 'list', added: ['https://example.com/2.jpg'], removed: ['https://example.com/1.jpg'] },
+  ]);
+});
+
+test('fields missing from the old version count as empty', () => {
+  const old = { name: 'Example Hotel', address: 'No address', images: ['https://example.com/1.jpg'], facilities: ['Free WiFi'] };
+  const changes = diffResults(old, base);
+
+  assert.deepEqual(changes.map(change => change.field), [
+    'address', 'rating', 'reviewScore', 'reviewCount', 'coordinates', 'about', 'facilities', 'faqs', 'houseRules', 'hotelAreaInfo',
+  ]);
+  assert.deepEqual(changes.find(change => change.field === 'address'), {
+    field: 'address', label: 'Address', kind: 'value', before: null, after: '1 Example Street',
+  });
+  assert.deepEqual(changes.find(change => change.field === 'about'), {
+    field: 'about', label: 'Description', kind: 'text', before: null, after: 'Old description',
+  });
+  // Legacy flat facility list against the grouped one
+  assert.deepEqual(changes.find(change => change.field === 'facilities').added, ['Parking']);
+  assert.deepEqual(changes.find(change => change.field === 'faqs').added, ['Is there parking?']);
+});
+
+test('rooms are only compared for the same stay', () => {
+  const stay = { checkIn: '2026-11-01', checkOut: '2026-11-03', adults: 2 };
+  const withRooms = { ...base, stay, rooms: [{ roomType: 'Deluxe', priceText: 'VND 1,450,000' }] };
+  const cheaper = { ...withRooms, rooms: [{ roomType: 'Deluxe', priceText: 'VND 1,250,000' }] };
+
+  assert.deepEqual(diffResults(withRooms, cheaper), [
+    { field: 'rooms', label: 'Rooms', kind: 'list', added: ['Deluxe: VND 1,250,000'], removed: ['Deluxe: VND 1,450,000'] },
+  ]);
+  assert.deepEqual(diffResults(withRooms, { ...cheaper, stay: { ...stay, checkIn: '2026-12-01' } }), []);
+});
+
+test('changes are summarized for the task log', () => {
+  const next = { ...base, aboutText: 'New description', facilityList: ['Free WiFi', 'Pool', 'Spa'], images: [] };
+  assert.equal(summarizeChanges(diffResults(base, next)), 'Description changed, Facilities +2 -1, Images -1');
+});
+
+test('history lists versions newest first with the changes each brought', () => {
+  const history = buildHistory([
+    { version: 1, taskId: 'a', status: 'COMPLETED', crawledAt: 1, result: base },
+    { version: 2, taskId: 'b', status: 'COMPLETED', crawledAt: 2, result: base },
+    { version: 3, taskId: 'c', status: 'COMPLETED', crawledAt: 3, result: { ...base, images: [] }, kept: ['images'] },
+  ]);
+
+  assert.deepEqual(history.map(version => version.version), [3, 2, 1]);
+  assert.deepEqual(history[0].changes.map(change => change.field), ['images']);
+  assert.deepEqual(history[0].kept, ['images']);
+  assert.deepEqual(history[1].kept, []);
+  assert.deepEqual(history[1].changes, []);
+  assert.equal(history[2].changes, null);
+});
+
+test('a re-crawl that lost a field is saved as crawled, with the field marked as kept', async () => {
+  const url = 'https://www.booking.com/hotel/vn/example.html';
+  const snapshots = [{ version: 1, taskId: 'old', status: 'COMPLETED', crawledAt: 1, result: base, kept: [] }];
+  const db = {
+    saveTask: () => {},
+    addLog: () => {},
+    addAttempt: () => {},
+    getLatestSnapshot: () => snapshots[snapshots.length - 1],
+    addSnapshot: (task, { result, kept }) => {
+      snapshots.push({ version: snapshots.length + 1, taskId: task.id, status: task.status, crawledAt: task.finishedAt, result, kept });
+      return snapshots.length;
+    },
+  };
+  const logs = [];
+  const queue = new QueueService({
+    db,
+    runTask: async () => ({ ...base, about: null, aboutText: null }),
+    send: (channel, payload) => { if (channel === 'crawler-log') logs.push(payload.message); },
+  });
+  queue.setConfig({ delayPerLink: 0, delayJitter: 0 });
+  const [task] = queue.addTasks([url]);
+  task.result = base; // As left by recrawlMissing()
+  await queue.processTask(task);
+  queue.shutdown();
+
+  // The task keeps the description, the version records that the crawl lost it
+  assert.equal(task.result.aboutText, 'Old description');
+  assert.equal(snapshots[1].result.aboutText, null);
+  assert.deepEqual(snapshots[1].kept, ['about']);
+  assert.ok(logs.includes('Version 2, changes since version 1: Description changed'), logs.join('\n'));
+
+  const [latest] = buildHistory(snapshots);
+  assert.deepEqual(latest.changes.map(change => change.field), ['about']);
+  assert.deepEqual(latest.kept, ['about']);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+/**
+ * Result validation tests
+ * Which fields a finished crawl is missing under the validation settings,
+ * and whether the queue marks the task COMPLETED or PARTIAL.
+ */
+
+const require = createRequire(import.meta.url);
+const { getMissingFields, describeMissingFields, mergeMissingFields } = require('../../services/resultValidation.cjs');
+const QueueService = require('../../services/queueService.cjs');
+
+const { TaskStatus } = QueueService;
+const task = { id: 't1', url: 'https://www.booking.com/hotel/vn/example.html' };
+const facilities = [{ name: 'General', items: [{ name: 'Free WiFi' }, { name: 'Parking' }] }];
+
+const complete = {
+  name: 'Example Hotel',
+  address: '1 Example Street',
+  rating: 4,
+  about: '<p>Hotel description</p>',
+  facilities,
+  facilityList: ['Free WiFi', 'Parking'],
+  faqs: [],
+  images: ['https://example.com/1.jpg', 'https://example.com/2.jpg'],
+};
+
+const config = { requiredFields: ['name', 'address', 'about'], minImages: 1, minFacilities: 1 };
+
+test('a result with every required field is not missing anything', () => {
+  assert.deepEqual(getMissingFields(complete, task, config), []);
+});
+
+test('required fields count placeholders and empty values as missing', () => {
+  const result = { ...complete, name: 'Unknown Hotel', address: 'No address', about: '' };
+  assert.deepEqual(getMissingFields(result, task, config), ['name', 'address', 'about']);
+});
+
+test('optional fields may be empty', () => {
+  const result = { ...complete, rating: 0, faqs: [], houseRules: null, hotelAreaInfo: [] };
+  assert.deepEqual(getMissingFields(result, task, config), []);
+});
+
+test('empty arrays fall below the minimum counts', () => {
+  const result = { ...complete, images: [], facilities: [], facilityList: [] };
+  assert.deepEqual(getMissingFields(result, task, config), ['facilities', 'images']);
+  assert.deepEqual(getMissingFields(result, task, { ...config, minImages: 0, minFacilities: 0 }), []);
+});
+
+test('a required list field needs at least one item', () => {
+  const result = { ...complete, faqs: [] };
+  assert.deepEqual(getMissingFields(result, task, { ...config, requiredFields: ['faqs'] }), ['faqs']);
+  assert.deepEqual(getMissingFields(result, task, { requiredFields: ['images'], minImages: 0 }), []);
+  assert.deepEqual(getMissingFields({ ...result, images: [] }, task, { requiredFields: ['images'], minImages: 0 }), ['images']);
+});
+
+test('facilities are counted in grouped and legacy results', () => {
+  const legacy = { ...complete, facilities: ['Free WiFi'], facilityList: undefined };
+  assert.deepEqual(getMissingFields(legacy, task, { minFacilities: 1 }), []);
+  assert.deepEqual(getMissingFields(legacy, task, { minFacilities: 2 }), ['facilities']);
+});
+
+test('rooms are only required for tasks with stay dates', () => {
+  const required = { requiredFields: ['rooms'] };
+  assert.deepEqual(getMissingFields(complete, task, required), []);
+  assert.deepEqual(getMissingFields(complete, { ...task, stay: { checkIn: '2026-11-01', checkOut: '2026-11-03' } }, required), ['rooms']);
+});
+
+test('missing fields are described with counts where a minimum applies', () => {
+  const result = { ...complete, address: 'No address', images: ['https://example.com/1.jpg'] };
+  const settings = { ...config, minImages: 3 };
+  const missing = getMissingFields(result, task, settings);
+  assert.equal(describeMissingFields(missing, result, settings), 'Address, Images (1/3)');
+});
+
+test('a re-crawl keeps fields it came back without', () => {
+  const next = { ...complete, about: null, aboutText: null, images: [], facilities: [], facilityList: [] };
+  const previous = { ...complete, aboutText: 'Hotel description' };
+  const { result, kept } = mergeMissingFields(previous, next);
+
+  assert.deepEqual(kept, ['about', 'facilities', 'images']);
+  assert.equal(result.aboutText, 'Hotel description');
+  assert.deepEqual(result.facilities, facilities);
+  assert.deepEqual(result.images, complete.images);
+});
+
+async function runQueueTask(crawlerData, settings) {
+  const queue = new QueueService({ runTask: async () => crawlerData, send: () => {} });
+  queue.setConfig({ delayPerLink: 0, delayJitter: 0, ...settings });
+  const [queued] = queue.addTasks([task.url]);
+  await queue.processTask(queued);
+  queue.shutdown();
+  return queued;
+}
+
+test('the queue marks a complete result COMPLETED', async () => {
+  const finished = await runQueueTask(complete, config);
+  assert.equal(finished.status, TaskStatus.COMPLETED);
+  assert.equal(finished.missingFields, undefined);
+});
+
+test('the queue marks a result with missing fields PARTIAL', async () => {
+  const finished = await runQueueTask({ ...complete, address: null, images: [] }, config);
+  assert.equal(finished.status, TaskStatus.PARTIAL);
+  assert.deepEqual(finished.missingFields, ['address', 'images']);
+  assert.equal(finished.result.address, 'No address');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { CrawlBlockedError, CrawlCancelledError } from '../errors.js';
+
+/**
+ * Retry policy tests
+ * Which failed attempts are retried, how long the queue waits before the
+ * next one, and the jitter added to the delay between links.
+ */
+
+const require = createRequire(import.meta.url);
+const { isRetryableError, getBackoffDelay } = require('../../services/retryPolicy.cjs');
+const QueueService = require('../../services/queueService.cjs');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { httpStatus: status });
+
+test('transient failures are retried', () => {
+  assert.ok(isRetryableError(new Error('Navigation timeout of 60000 ms exceeded')));
+  assert.ok(isRetryableError(new Error('net::ERR_CONNECTION_RESET at https://www.booking.com/')));
+  assert.ok(isRetryableError(new Error('read ECONNRESET')));
+  assert.ok(isRetryableError(new Error('Protocol error (Runtime.callFunctionOn): Target closed')));
+  assert.ok(isRetryableError(new Error('No proxy available: every proxy is out of rotation')));
+  assert.ok(isRetryableError(new CrawlBlockedError('challenge element .g-recaptcha', 'https://www.booking.com/')));
+});
+
+test('rate limits, server errors and proxy auth failures are retried', () => {
+  assert.ok(isRetryableError(httpError(429)));
+  assert.ok(isRetryableError(httpError(407)));
+  assert.ok(isRetryableError(httpError(500)));
+  assert.ok(isRetryableError(httpError(503)));
+});
+
+test('bad URLs and missing pages fail immediately', () => {
+  assert.ok(!isRetryableError(httpError(404)));
+  assert.ok(!isRetryableError(httpError(410)));
+  assert.ok(!isRetryableError(new Error('Protocol error (Page.navigate): Cannot navigate to invalid URL')));
+  assert.ok(!isRetryableError(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.example/')));
+  assert.ok(!isRetryableError(new Error('Unsupported site: https://example.com/')));
+  assert.ok(!isRetryableError(new Error('Something unexpected')));
+  assert.ok(!isRetryableError(new CrawlCancelledError()));
+  assert.ok(!isRetryableError(null));
+});
+
+test('backoff doubles per attempt and is capped at 10 minutes', () => {
+  assert.equal(getBackoffDelay(1, 30), 30000);
+  assert.equal(getBackoffDelay(2, 30), 60000);
+  assert.equal(getBackoffDelay(3, 30), 120000);
+  assert.equal(getBackoffDelay(10, 30), 600000);
+  assert.equal(getBackoffDelay(0, 30), 30000);
+  assert.equal(getBackoffDelay(3, 0), 0);
+});
+
+test('link delay stays within delayPerLink +/- delayJitter', (t) => {
+  const queue = new QueueService({ runTask: async () => ({}), send: () => {} });
+  queue.config = { ...queue.config, delayPerLink: 3, delayJitter: 1 };
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(queue.getLinkDelay(), 2000);
+  Math.random.mock.mockImplementation(() => 0.5);
+  assert.equal(queue.getLinkDelay(), 3000);
+  Math.random.mock.mockImplementation(() => 0.999);
+  assert.ok(queue.getLinkDelay() <= 4000);
+
+  // Never negative when the jitter is larger than the delay
+  queue.config = { ...queue.config, delayPerLink: 0, delayJitter: 2 };
+  Math.random.mock.mockImplementation(() => 0);
+  assert.equal(queue.getLinkDelay(), 0);
+});
+
+test('only final outcomes count toward the batch pause', async () => {
+  const failures = [new Error('Navigation timeout of 60000 ms exceeded'), httpError(404)];
+  const queue = new QueueService({
+    runTask: async () => { throw failures.shift(); },
+    send: () => {},
+  });
+  queue.setConfig({ maxAttempts: 3, retryBaseDelay: 0, delayPerLink: 0, delayJitter: 0, batchWait: 5, batchWaitTime: 30 });
+  const [task] = queue.addTasks(['https://www.booking.com/hotel/vn/example.html']);
+
+  // A retryable failure puts the task back to WAITING: not a finished link
+  await queue.processTask(task);
+  assert.equal(task.status, QueueService.TaskStatus.WAITING);
+  assert.equal(queue.finishedInBatch, 0);
+
+  await queue.processTask(task);
+  assert.equal(task.status, QueueService.TaskStatus.ERROR);
+  assert.equal(queue.finishedInBatch, 1);
+  queue.shutdown();
+});
@@ -0,0 +1,52 @@
+/**
+ * Browser profiles used for user agent rotation.
+ * Each user agent comes with a viewport and Accept-Language that a real
+ * browser on that platform would plausibly send.
+ */
+
+export const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export const USER_AGENT_PROFILES = [
+  {
+    userAgent: DEFAULT_USER_AGENT,
+    viewport: { width: 1920, height: 1080 },
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1536, height: 864 },
+    acceptLanguage: 'en-GB,en;q=0.9',
+  },
+  {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0',
+    viewport: { width: 1366, height: 768 },
+    acceptLanguage: 'en-US,en;q=0.9,vi;q=0.8',
+  },
+  {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
+    viewport: { width: 1440, height: 900 },
+    acceptLanguage: 'en-US,en;q=0.9',
+  },
+  {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+    viewport: { width: 1680, height: 1050 },
+    acceptLanguage: 'en-GB,en;q=0.9',
+  },
+  {
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    acceptLanguage: 'en-US,en;q=0.8',
+  },
+];
+
+let nextIndex = 0;
+
+/**
+ * Get the next profile in round-robin order
+ */
+export function nextUserAgentProfile() {
+  const profile = USER_AGENT_PROFILES[nextIndex % USER_AGENT_PROFILES.length];
+  nextIndex++;
+  return profile;
+}
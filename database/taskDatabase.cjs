@@ -49,24 +49,131 @@ class TaskDatabase {
       )
     `);
 
+    // Create attempts table (one row per failed attempt)
+    // Kept when tasks are deleted, so per-URL failure stats cover every run
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        error TEXT NOT NULL,
+        retryable INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        proxy TEXT
+      )
+    `);
+
+    // Create result snapshots table (one row per finished crawl, versioned per URL)
+    // Kept when tasks are deleted or reset, so a URL's history survives re-crawls
+    const hasSnapshots = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'result_snapshots'").get();
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS result_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        task_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result_json TEXT NOT NULL,
+        kept_json TEXT,
+        crawled_at INTEGER NOT NULL
+      )
+    `);
+
+    this.migrateTables();
+    if (!hasSnapshots) {
+      this.seedSnapshots();
+    }
+
     // Create indexes
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
       CREATE INDEX IF NOT EXISTS idx_tasks_created ON tasks(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_logs_task ON task_logs(task_id);
+      CREATE INDEX IF NOT EXISTS idx_attempts_task ON task_attempts(task_id);
+      CREATE INDEX IF NOT EXISTS idx_attempts_url ON task_attempts(url);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_url_version ON result_snapshots(url, version);
+    `);
+  }
+
+  /**
+   * Add columns introduced after the first release to existing databases
+   */
+  migrateTables() {
+    const columnsOf = table => this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    const columns = columnsOf('tasks');
+    const addColumn = (name, definition) => {
+      if (!columns.includes(name)) {
+        this.db.exec(`ALTER TABLE tasks ADD COLUMN ${name} ${definition}`);
+      }
+    };
+
+    addColumn('attempts', 'INTEGER DEFAULT 0');
+    addColumn('next_retry_at', 'INTEGER');
+    addColumn('listing_json', 'TEXT');
+    addColumn('stay_json', 'TEXT');
+    addColumn('diagnostics_json', 'TEXT');
+    addColumn('languages_json', 'TEXT');
+    addColumn('proxy', 'TEXT');
+    addColumn('missing_fields_json', 'TEXT');
+
+    if (!columnsOf('task_attempts').includes('proxy')) {
+      this.db.exec('ALTER TABLE task_attempts ADD COLUMN proxy TEXT');
+    }
+    // Older databases cascade task deletes into attempts; rebuild without the foreign key
+    if (this.db.prepare('PRAGMA foreign_key_list(task_attempts)').all().length > 0) {
+      this.db.transaction(() => {
+        this.db.exec(`
+          CREATE TABLE task_attempts_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            task_id TEXT NOT NULL,
+            url TEXT NOT NULL,
+            attempt INTEGER NOT NULL,
+            error TEXT NOT NULL,
+            retryable INTEGER NOT NULL,
+            timestamp INTEGER NOT NULL,
+            proxy TEXT
+          );
+          INSERT INTO task_attempts_new (id, task_id, url, attempt, error, retryable, timestamp, proxy)
+            SELECT id, task_id, url, attempt, error, retryable, timestamp, proxy FROM task_attempts;
+          DROP TABLE task_attempts;
+          ALTER TABLE task_attempts_new RENAME TO task_attempts;
+        `);
+      })();
+    }
+    if (!columnsOf('result_snapshots').includes('kept_json')) {
+      this.db.exec('ALTER TABLE result_snapshots ADD COLUMN kept_json TEXT');
+    }
+  }
+
+  /**
+   * Results finished before snapshots existed become the first versions of their URLs
+   */
+  seedSnapshots() {
+    this.db.exec(`
+      INSERT INTO result_snapshots (url, version, task_id, status, result_json, crawled_at)
+      SELECT url, ROW_NUMBER() OVER (PARTITION BY url ORDER BY COALESCE(finished_at, created_at)), id, status, result_json, COALESCE(finished_at, created_at)
+      FROM tasks
+      WHERE result_json IS NOT NULL
     `);
   }
 
   /**
    * Save or update a task
+   * Pass includeLogs: false when logs are written separately via addLog()
    */
-  saveTask(task) {
+  saveTask(task, { includeLogs = true } = {}) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO tasks (id, url, status, progress, error, created_at, finished_at, result_json)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO tasks (id, url, status, progress, error, created_at, finished_at, result_json, attempts, next_retry_at, listing_json, stay_json, diagnostics_json, languages_json, proxy, missing_fields_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = task.result ? JSON.stringify(task.result) : null;
+    const listing = task.listing ? JSON.stringify(task.listing) : null;
+    const stay = task.stay ? JSON.stringify(task.stay) : null;
+    const diagnostics = task.diagnostics ? JSON.stringify(task.diagnostics) : null;
+    const languages = task.languages ? JSON.stringify(task.languages) : null;
+    const missingFields = task.missingFields ? JSON.stringify(task.missingFields) : null;
 
     stmt.run(
       task.id,
@@ -76,11 +183,19 @@ class TaskDatabase {
       task.error || null,
       task.createdAt,
       task.finishedAt || null,
-      result
+      result,
+      task.attempts || 0,
+      task.nextRetryAt || null,
+      listing,
+      stay,
+      diagnostics,
+      languages,
+      task.proxy || null,
+      missingFields
     );
 
     // Save logs if present
-    if (task.logs && task.logs.length > 0) {
+    if (includeLogs && task.logs && task.logs.length > 0) {
       this.saveLogs(task.id, task.logs);
     }
 
@@ -110,6 +225,125 @@ class TaskDatabase {
     insertMany(logs);
   }
 
+  /**
+   * Append a single log entry for a task
+   */
+  addLog(taskId, log) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_logs (task_id, timestamp, message, type)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    stmt.run(taskId, log.timestamp, log.message, log.type);
+  }
+
+  /**
+   * Record a failed attempt
+   */
+  addAttempt(taskId, url, attempt) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_attempts (task_id, url, attempt, error, retryable, timestamp, proxy)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(taskId, url, attempt.attempt, attempt.error, attempt.retryable ? 1 : 0, attempt.timestamp, attempt.proxy || null);
+  }
+
+  /**
+   * Get failed attempts for a task
+   */
+  getTaskAttempts(taskId) {
+    const stmt = this.db.prepare(`
+      SELECT attempt, error, retryable, timestamp, proxy
+      FROM task_attempts
+      WHERE task_id = ?
+      ORDER BY timestamp ASC
+    `);
+
+    return stmt.all(taskId).map(row => ({ ...row, retryable: row.retryable === 1, proxy: row.proxy || undefined }));
+  }
+
+  /**
+   * Get failure counts per URL, most flaky first
+   */
+  getUrlFailureStats(limit = 100) {
+    const stmt = this.db.prepare(`
+      SELECT
+        url,
+        COUNT(*) as failures,
+        SUM(retryable) as retryableFailures,
+        MAX(timestamp) as lastFailureAt
+      FROM task_attempts
+      GROUP BY url
+      ORDER BY failures DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(limit);
+  }
+
+  /**
+   * Store a finished crawl as the next version of its URL
+   * @param {Object} task - the finished task
+   * @param {Object} snapshot - { result, kept }: the result as crawled, before fields missing from it
+   *   were filled from the previous result, and the names of those fields
+   * @returns {number} version number, 1 for the first crawl of the URL
+   */
+  addSnapshot(task, { result, kept = [] }) {
+    const { version } = this.db.prepare(`
+      SELECT COALESCE(MAX(version), 0) + 1 as version FROM result_snapshots WHERE url = ?
+    `).get(task.url);
+
+    const stmt = this.db.prepare(`
+      INSERT INTO result_snapshots (url, version, task_id, status, result_json, kept_json, crawled_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const keptJson = kept.length > 0 ? JSON.stringify(kept) : null;
+    stmt.run(task.url, version, task.id, task.status, JSON.stringify(result), keptJson, task.finishedAt || Date.now());
+    return version;
+  }
+
+  /**
+   * Get every version of a URL's result, oldest first
+   */
+  getSnapshots(url) {
+    const stmt = this.db.prepare(`
+      SELECT version, task_id, status, result_json, kept_json, crawled_at
+      FROM result_snapshots
+      WHERE url = ?
+      ORDER BY version ASC
+    `);
+
+    return stmt.all(url).map(row => this.rowToSnapshot(row));
+  }
+
+  /**
+   * Get the newest version of a URL's result, null before its first crawl
+   */
+  getLatestSnapshot(url) {
+    const stmt = this.db.prepare(`
+      SELECT version, task_id, status, result_json, kept_json, crawled_at
+      FROM result_snapshots
+      WHERE url = ?
+      ORDER BY version DESC
+      LIMIT 1
+    `);
+
+    const row = stmt.get(url);
+    return row ? this.rowToSnapshot(row) : null;
+  }
+
+  rowToSnapshot(row) {
+    return {
+      version: row.version,
+      taskId: row.task_id,
+      status: row.status,
+      crawledAt: row.crawled_at,
+      result: JSON.parse(row.result_json),
+      kept: row.kept_json ? JSON.parse(row.kept_json) : [],
+    };
+  }
+
   /**
    * Get a task by ID
    */
@@ -171,7 +405,7 @@ class TaskDatabase {
    * Delete a task
    */
   deleteTask(taskId) {
-    // Delete logs first
+    // Delete logs first; attempts stay so the URL's failure stats survive
     const deleteLogsStmt = this.db.prepare('DELETE FROM task_logs WHERE task_id = ?');
     deleteLogsStmt.run(taskId);
 
@@ -200,7 +434,9 @@ class TaskDatabase {
         SUM(CASE WHEN status = 'WAITING' THEN 1 ELSE 0 END) as waiting,
         SUM(CASE WHEN status = 'PROCESSING' THEN 1 ELSE 0 END) as processing,
         SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
-        SUM(CASE WHEN status = 'ERROR' THEN 1 ELSE 0 END) as error
+        SUM(CASE WHEN status = 'PARTIAL' THEN 1 ELSE 0 END) as partial,
+        SUM(CASE WHEN status = 'ERROR' THEN 1 ELSE 0 END) as error,
+        SUM(CASE WHEN status = 'CANCELLED' THEN 1 ELSE 0 END) as cancelled
       FROM tasks
     `);
 
@@ -221,6 +457,15 @@ class TaskDatabase {
       finishedAt: row.finished_at,
       logs: this.getTaskLogs(row.id),
       result: row.result_json ? JSON.parse(row.result_json) : undefined,
+      attempts: row.attempts || 0,
+      attemptErrors: this.getTaskAttempts(row.id),
+      nextRetryAt: row.next_retry_at || undefined,
+      listing: row.listing_json ? JSON.parse(row.listing_json) : undefined,
+      stay: row.stay_json ? JSON.parse(row.stay_json) : undefined,
+      diagnostics: row.diagnostics_json ? JSON.parse(row.diagnostics_json) : undefined,
+      languages: row.languages_json ? JSON.parse(row.languages_json) : undefined,
+      proxy: row.proxy || undefined,
+      missingFields: row.missing_fields_json ? JSON.parse(row.missing_fields_json) : undefined,
     };
 
     return task;
@@ -1,11 +1,24 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const TaskDatabase = require('./database/taskDatabase.cjs');
+const QueueService = require('./services/queueService.cjs');
+const SettingsStore = require('./services/settingsStore.cjs');
+const { writeZip } = require('./services/zipArchive.cjs');
+const { buildHistory } = require('./services/resultDiff.cjs');
 
 let mainWindow;
-let BookingCrawler = null;
+let crawlerRegistry = null; // crawlers/registry.js, picks the site adapter by URL
+let SearchCrawler = null;
+let selectorProfiles = null; // crawlers/selectorProfile.js, bundled selectors plus user overrides
+let imageDownloader = null; // crawlers/imageDownloader.js, saves images under userData/images
 let activeCrawlers = new Map(); // Store active crawler instances
+let crawlControllers = new Map(); // AbortController per running crawl, used by stop-crawl
 let taskDb = null; // Database instance
+let queueService = null; // Main-process crawl scheduler
+let settingsStore = null; // Persistent AppConfig and Chrome path
+let browserPool = null; // Shared Chrome instances, sized to AppConfig.concurrency
+let detectedChromePath; // Cached findChrome() result (undefined = not searched yet)
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -39,88 +52,810 @@ function createWindow() {
   });
 }
 
+// Fetched through each proxy by proxies-check
+const PROXY_CHECK_URL = 'https://www.booking.com/robots.txt';
+const PROXY_CHECK_TIMEOUT = 20000;
+
+// Key the search crawl's proxy under in the pool, next to the queue's task ids
+const SEARCH_PROXY_ID = 'search';
+
+/**
+ * Written on first "Edit overrides": one entry per site with a selector profile,
+ * at the bundled version; empty fields keep the bundled selectors
+ */
+function getSelectorOverrideTemplate() {
+  const template = {};
+  for (const site of crawlerRegistry.getSupportedSites()) {
+    const profile = selectorProfiles.getSelectorProfile(site.id);
+    if (profile) {
+      template[site.id] = { version: profile.bundledVersion, fields: {} };
+    }
+  }
+  return template;
+}
+
+/**
+ * Version, source and override errors of each site's selector profile
+ */
+function getSelectorStatus() {
+  if (!selectorProfiles || !crawlerRegistry) {
+    throw new Error('Selector profiles not loaded');
+  }
+  const profiles = crawlerRegistry.getSupportedSites()
+    .map(site => ({ site, profile: selectorProfiles.getSelectorProfile(site.id) }))
+    .filter(({ profile }) => profile)
+    .map(({ site, profile }) => ({
+      site: site.id,
+      siteName: site.name,
+      version: profile.version,
+      updated: profile.updated || null,
+      source: profile.source,
+      errors: profile.errors,
+    }));
+  return { overridePath: selectorProfiles.getSelectorOverridePath(), profiles };
+}
+
+/**
+ * Download a crawl result's images into userData/images/<hotel> and add localImages/imageDir to it
+ * A failed download never fails the crawl; cancellation still does.
+ */
+async function saveHotelImages(result, { url, SiteCrawler, userAgent, signal }, reporter) {
+  if (!imageDownloader) {
+    reporter.log('Image downloader not loaded, skipping image download', 'warning');
+    return;
+  }
+
+  const imageDir = path.join(app.getPath('userData'), 'images', imageDownloader.getHotelFolderName(url, result.site));
+  reporter.log(`Downloading ${result.images.length} images...`, 'info');
+  if (reporter.progress) reporter.progress(99, 'download');
+
+  try {
+    const { images, duplicates, failed } = await imageDownloader.downloadImages(result.images, imageDir, {
+      toFullSize: imageUrl => SiteCrawler.getFullSizeImageUrl(imageUrl),
+      headers: { 'User-Agent': userAgent, Referer: `${new URL(url).origin}/` },
+      signal,
+    });
+    result.localImages = images;
+    result.imageDir = imageDir;
+
+    const notes = [];
+    if (duplicates > 0) notes.push(`${duplicates} duplicates skipped`);
+    if (failed.length > 0) notes.push(`${failed.length} failed`);
+    reporter.log(
+      `Saved ${images.length} images to ${imageDir}${notes.length ? ` (${notes.join(', ')})` : ''}`,
+      failed.length > 0 ? 'warning' : 'success'
+    );
+  } catch (error) {
+    if (error.code === 'CANCELLED') throw error;
+    reporter.log(`Image download failed: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Load a test URL through a proxy on a pooled page
+ * @returns {Promise<{ id: string, label: string, ok: boolean, latency: number|null, error: string|null }>}
+ */
+async function checkProxy(proxy) {
+  const started = Date.now();
+  let lease = null;
+  try {
+    // Same launch options as the queue, so pooled browsers are reused
+    lease = await browserPool.acquire({
+      headless: queueService.config.headless,
+      executablePath: await resolveChromePath(),
+      proxy,
+    });
+    if (proxy.username) {
+      await lease.page.authenticate({ username: proxy.username, password: proxy.password || '' });
+    }
+    const response = await lease.page.goto(PROXY_CHECK_URL, { waitUntil: 'domcontentloaded', timeout: PROXY_CHECK_TIMEOUT });
+    if (response && response.status() >= 400) {
+      throw new Error(`HTTP ${response.status()} for ${PROXY_CHECK_URL}`);
+    }
+    return { id: proxy.id, label: proxy.label, ok: true, latency: Date.now() - started, error: null };
+  } catch (error) {
+    return { id: proxy.id, label: proxy.label, ok: false, latency: null, error: error.message };
+  } finally {
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
+// Send an event to the renderer if the window is still alive
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// Queue events for the renderer; a block page also flashes the window, which is often in the background
+function sendQueueEvent(channel, payload) {
+  if (channel === 'queue-blocked' && mainWindow && !mainWindow.isDestroyed() && !mainWindow.isFocused()) {
+    mainWindow.flashFrame(true);
+    mainWindow.once('focus', () => mainWindow.flashFrame(false));
+  }
+  sendToRenderer(channel, payload);
+}
+
+// Push changed settings into the running services
+function applySettings(settings) {
+  if (queueService) {
+    queueService.setConfig(settings.config);
+  }
+  if (browserPool) {
+    browserPool.setSize(settings.config.concurrency);
+  }
+}
+
+// Use the Chrome path from settings, otherwise locate a local Chrome once
+async function resolveChromePath() {
+  const customPath = settingsStore ? settingsStore.get().chromePath : null;
+  if (customPath && fs.existsSync(customPath)) {
+    return customPath;
+  }
+
+  if (detectedChromePath === undefined) {
+    try {
+      const module = await import('./crawlers/findChrome.js');
+      detectedChromePath = module.default();
+    } catch (error) {
+      console.error('Error finding Chrome:', error);
+      detectedChromePath = null;
+    }
+  }
+  return detectedChromePath;
+}
+
+// Pick the browser identity: rotating profile, configured UA, or crawler default
+async function applyBrowserIdentity(crawlerOptions, { userAgent, rotateUserAgent }) {
+  const { DEFAULT_USER_AGENT, nextUserAgentProfile } = await import('./crawlers/userAgents.js');
+  if (rotateUserAgent) {
+    const profile = nextUserAgentProfile();
+    crawlerOptions.userAgent = profile.userAgent;
+    crawlerOptions.viewport = profile.viewport;
+    crawlerOptions.acceptLanguage = profile.acceptLanguage;
+  } else {
+    crawlerOptions.userAgent = (userAgent && userAgent.trim()) || DEFAULT_USER_AGENT;
+  }
+  return crawlerOptions;
+}
+
+// Collect hotels from a search results page, using the queue's browser settings
+async function crawlSearch({ url, maxPages, filters }, sendLog) {
+  if (!SearchCrawler) {
+    throw new Error('SearchCrawler module not loaded');
+  }
+  // Check before a browser and proxy are taken for a page the crawler cannot read
+  if (!SearchCrawler.matches(url)) {
+    throw new Error(`Not a Booking.com search results or listing URL: ${url}`);
+  }
+
+  const config = queueService.config;
+  const crawlerOptions = {
+    headless: config.headless,
+    timeout: 60000,
+    executablePath: await resolveChromePath(),
+    onProgress: ({ message, type }) => sendLog(message, type),
+  };
+  await applyBrowserIdentity(crawlerOptions, config);
+
+  // Search pages go through the queue's proxies too, never a direct connection when proxies are configured
+  const proxies = queueService.proxies;
+  let proxy = null;
+  if (proxies.isEnabled()) {
+    proxy = proxies.assign({ id: SEARCH_PROXY_ID });
+    if (!proxy) {
+      throw new Error('No proxy available: every proxy is out of rotation');
+    }
+    crawlerOptions.proxy = proxy;
+    sendLog(`Proxy: ${proxy.label}`, 'info');
+  }
+
+  let lease = null;
+  let crawler = null;
+  try {
+    if (browserPool) {
+      lease = await browserPool.acquire(crawlerOptions);
+      crawlerOptions.page = lease.page;
+    }
+
+    crawler = new SearchCrawler(crawlerOptions);
+    await crawler.init();
+    const search = await crawler.crawlSearch(url, { maxPages, filters });
+    if (proxy) {
+      proxies.reportSuccess(proxy);
+      queueService.emitProxyStatus();
+    }
+    return search;
+  } catch (error) {
+    queueService.reportProxyFailure(null, proxy, error);
+    throw error;
+  } finally {
+    if (crawler) {
+      await crawler.close().catch(() => {});
+    }
+    if (lease) {
+      await lease.release();
+    }
+    if (proxy) {
+      proxies.release(SEARCH_PROXY_ID);
+    }
+  }
+}
+
+// Run one crawl on a pooled page
+// reporter.log(message, type) receives log lines, reporter.progress(value, stage) stage updates
+// Aborting `signal` (or calling stop-crawl) cancels the crawl with a CrawlCancelledError
+// With a visible browser, reporter.waitForUnblock(block) keeps a challenge page open until the user solved it
+async function crawlHotel({ taskId, url, stay, languages, headless, chromePath, userAgent, rotateUserAgent, reviewLimit, downloadImages, proxy, signal }, reporter) {
+  const sendLog = reporter.log;
+  const sendProgress = reporter.progress || (() => {});
+  let lease = null;
+
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+  crawlControllers.set(taskId, controller);
+
+  try {
+    if (!crawlerRegistry) {
+      throw new Error('Crawler registry not loaded');
+    }
+    const SiteCrawler = crawlerRegistry.getCrawlerForUrl(url);
+    if (!SiteCrawler) {
+      throw new Error(`Unsupported site: ${url}`);
+    }
+
+    const crawlerOptions = {
+      headless: headless,
+      timeout: 60000,
+      executablePath: chromePath || null,
+      reviewLimit: reviewLimit || 0,
+      proxy: proxy || null,
+      signal: controller.signal,
+      // Nobody can solve a challenge in a headless browser: block pages fail the attempt instead
+      onBlocked: !headless && reporter.waitForUnblock ? reporter.waitForUnblock : null,
+      onProgress: ({ stage, progress, message, type }) => {
+        sendLog(message, type);
+        sendProgress(progress, stage);
+      },
+    };
+
+    await applyBrowserIdentity(crawlerOptions, { userAgent, rotateUserAgent });
+    sendLog(`User agent: ${crawlerOptions.userAgent}`, 'info');
+
+    // Borrow a fresh incognito page from the pool instead of launching Chrome
+    sendLog('Initializing browser context...', 'info');
+    if (browserPool) {
+      lease = await browserPool.acquire(crawlerOptions);
+      crawlerOptions.page = lease.page;
+    }
+
+    // Create crawler instance
+    sendLog(`Using ${SiteCrawler.siteName} crawler`, 'info');
+    const crawler = new SiteCrawler(crawlerOptions);
+
+    // Store crawler instance
+    activeCrawlers.set(taskId, crawler);
+
+    // Closing the page interrupts a long navigation; the crawler then reports the abort
+    controller.signal.addEventListener('abort', () => {
+      sendLog('Cancelling crawl...', 'warning');
+      crawler.close().catch(() => {});
+    }, { once: true });
+
+    // Initialize page
+    await crawler.init();
+
+    // Crawl hotel
+    const result = await crawler.crawlHotel(url, { stay, languages: languages || [] });
+
+    sendLog(`Crawl completed successfully!`, 'success');
+
+    // Close page (or browser when not pooled)
+    await crawler.close();
+    activeCrawlers.delete(taskId);
+
+    if (downloadImages && result.images && result.images.length > 0) {
+      await saveHotelImages(result, { url, SiteCrawler, userAgent: crawlerOptions.userAgent, signal: controller.signal }, reporter);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Crawl error:', error);
+
+    // Clean up crawler
+    const crawler = activeCrawlers.get(taskId);
+    if (crawler) {
+      try {
+        await crawler.close();
+      } catch (e) {
+        console.error('Error closing crawler:', e);
+      }
+      activeCrawlers.delete(taskId);
+    }
+
+    throw error;
+  } finally {
+    crawlControllers.delete(taskId);
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
 // Setup IPC Handlers for crawler
 function setupIpcHandlers() {
-  // Find Chrome executable
+  // Find Chrome executable (a path chosen in settings takes precedence)
   ipcMain.handle('find-chrome', async () => {
     try {
+      const customPath = settingsStore ? settingsStore.get().chromePath : null;
+      if (customPath && fs.existsSync(customPath)) {
+        return { success: true, path: customPath, custom: true };
+      }
+
       const module = await import('./crawlers/findChrome.js');
       const findChrome = module.default;
       const chromePath = findChrome();
-      return { success: true, path: chromePath };
+      return { success: true, path: chromePath, custom: false };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
   // Start crawling a hotel
-  ipcMain.handle('crawl-hotel', async (event, { taskId, url, headless, chromePath }) => {
+  ipcMain.handle('crawl-hotel', async (event, { taskId, url, headless, chromePath, userAgent, rotateUserAgent }) => {
+    // Send log messages and progress back to renderer
+    const reporter = {
+      log: (message, type = 'info') => {
+        sendToRenderer('crawler-log', { taskId, message, type });
+      },
+      progress: (progress, stage) => {
+        sendToRenderer('crawler-progress', { taskId, progress, stage });
+      },
+    };
+
+    try {
+      const result = await crawlHotel({ taskId, url, headless, chromePath, userAgent, rotateUserAgent }, reporter);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Stop/cancel a crawl task
+  ipcMain.handle('stop-crawl', async (event, { taskId }) => {
     try {
-      if (!BookingCrawler) {
-        throw new Error('BookingCrawler module not loaded');
+      // Queued tasks are cancelled through the scheduler so their status is recorded
+      if (queueService && queueService.cancelTasks([taskId]) > 0) {
+        return { success: true };
       }
 
-      // Create crawler instance
-      const crawler = new BookingCrawler({
-        headless: headless,
-        timeout: 60000,
-        executablePath: chromePath || null,
+      const controller = crawlControllers.get(taskId);
+      if (controller) {
+        controller.abort();
+        return { success: true };
+      }
+      return { success: false, error: 'Crawler not found' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Queue operations
+  ipcMain.handle('queue-get-tasks', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      return { success: true, data: queueService.getTasks() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-get-state', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      return { success: true, data: queueService.getState() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-add-tasks', async (event, { urls, stay, languages }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const tasks = queueService.addTasks(urls, stay, languages);
+      return { success: true, data: tasks };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-start', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      queueService.start();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-pause', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      queueService.pause();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Crawl a search results page and queue every hotel found
+  ipcMain.handle('queue-add-from-search', async (event, { url, maxPages, filters, stay, languages }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+
+      queueService.log(`Collecting hotels from ${url}...`, 'info');
+      const search = await crawlSearch({ url, maxPages, filters }, (message, type) => queueService.log(message, type));
+      queueService.log(`Found ${search.hotels.length} hotels on ${search.pages} pages.`, 'success');
+
+      const tasks = queueService.addListings(search.hotels, stay, languages);
+      return { success: true, data: tasks, found: search.hotels.length };
+    } catch (error) {
+      return { success: false, error: `Search crawl failed: ${error.message}` };
+    }
+  });
+
+  ipcMain.handle('queue-cancel-tasks', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.cancelTasks(taskIds);
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-cancel-all', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.cancelAll();
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-resume-tasks', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.resumeTasks(taskIds);
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-get-field-coverage', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      return { success: true, data: queueService.getFieldCoverage() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-reset-tasks', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.resetTasks(taskIds);
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-recrawl-missing', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.recrawlMissing(taskIds);
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-delete-tasks', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const count = queueService.deleteTasks(taskIds);
+      return { success: true, count };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('queue-clear', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      queueService.clearTasks();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Settings operations
+  ipcMain.handle('settings-get', async () => {
+    try {
+      if (!settingsStore) {
+        throw new Error('Settings not initialized');
+      }
+      return { success: true, data: settingsStore.get() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('settings-set', async (event, changes) => {
+    try {
+      if (!settingsStore) {
+        throw new Error('Settings not initialized');
+      }
+      const settings = settingsStore.set(changes);
+      applySettings(settings);
+      return { success: true, data: settings };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('settings-choose-chrome', async () => {
+    try {
+      if (!settingsStore) {
+        throw new Error('Settings not initialized');
+      }
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Select Chrome executable',
+        properties: ['openFile'],
       });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      const settings = settingsStore.set({ chromePath: filePaths[0] });
+      return { success: true, data: settings };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('settings-import', async () => {
+    try {
+      if (!settingsStore) {
+        throw new Error('Settings not initialized');
+      }
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import settings',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      const settings = settingsStore.importFrom(filePaths[0]);
+      applySettings(settings);
+      return { success: true, data: settings };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      // Store crawler instance
-      activeCrawlers.set(taskId, crawler);
+  ipcMain.handle('settings-export', async () => {
+    try {
+      if (!settingsStore) {
+        throw new Error('Settings not initialized');
+      }
 
-      // Send log messages back to renderer
-      const sendLog = (message, type = 'info') => {
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('crawler-log', { taskId, message, type });
+      // Proxy passwords only go into the file when the user says so
+      let includeCredentials = false;
+      const hasCredentials = settingsStore.hasProxyCredentials();
+      if (hasCredentials) {
+        const { response } = await dialog.showMessageBox(mainWindow, {
+          type: 'warning',
+          title: 'Export settings',
+          message: 'Include proxy usernames and passwords?',
+          detail: 'The proxy list has login details. If included, they are written to the settings file in plain text.',
+          buttons: ['Leave out', 'Include', 'Cancel'],
+          defaultId: 0,
+          cancelId: 2,
+        });
+        if (response === 2) {
+          return { success: false, canceled: true };
         }
-      };
+        includeCredentials = response === 1;
+      }
 
-      // Initialize browser
-      sendLog('Initializing browser context...', 'info');
-      await crawler.init();
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export settings',
+        defaultPath: 'hotel-crawl-settings.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      settingsStore.exportTo(filePath, { includeCredentials });
+      return { success: true, path: filePath, credentialsOmitted: hasCredentials && !includeCredentials };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      sendLog(`Navigating to ${url}...`, 'info');
+  // Proxy operations
+  ipcMain.handle('proxies-get-status', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      return { success: true, data: queueService.proxies.getStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      // Crawl hotel
-      const result = await crawler.crawlHotel(url);
+  // Load a test page through every configured proxy; passing proxies go back into rotation
+  ipcMain.handle('proxies-check', async () => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      if (!browserPool) {
+        throw new Error('Browser pool not available');
+      }
 
-      sendLog(`Crawl completed successfully!`, 'success');
+      const results = [];
+      for (const proxy of queueService.proxies.getProxies()) {
+        const result = await checkProxy(proxy);
+        queueService.proxies.reportCheck(proxy, result);
+        queueService.log(
+          result.ok ? `Proxy ${result.label} OK (${result.latency} ms)` : `Proxy ${result.label} failed check: ${result.error}`,
+          result.ok ? 'success' : 'warning'
+        );
+        results.push(result);
+      }
+      queueService.emitProxyStatus();
+      return { success: true, data: results };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
-      // Close browser
-      await crawler.close();
-      activeCrawlers.delete(taskId);
+  // Downloaded image operations
+  ipcMain.handle('images-export-zip', async (event, { taskIds }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
+      }
+      const ids = new Set(taskIds);
+      const hotels = queueService.getTasks()
+        .filter(task => ids.has(task.id) && task.result && task.result.localImages && task.result.localImages.length > 0)
+        .map(task => task.result);
+      if (hotels.length === 0) {
+        throw new Error('No downloaded images for the selected tasks');
+      }
 
-      return { success: true, data: result };
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export images',
+        defaultPath: hotels.length === 1
+          ? `${path.basename(hotels[0].imageDir)}.zip`
+          : `hotel-images-${new Date().toISOString().slice(0, 10)}.zip`,
+        filters: [{ name: 'ZIP', extensions: ['zip'] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      // One folder per hotel inside the archive
+      const entries = hotels.flatMap(hotel => hotel.localImages
+        .filter(image => fs.existsSync(image.path))
+        .map(image => ({ name: `${path.basename(hotel.imageDir)}/${image.file}`, path: image.path })));
+      const count = writeZip(filePath, entries);
+      return { success: true, path: filePath, count };
     } catch (error) {
-      console.error('Crawl error:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      // Clean up crawler
-      const crawler = activeCrawlers.get(taskId);
-      if (crawler) {
-        try {
-          await crawler.close();
-        } catch (e) {
-          console.error('Error closing crawler:', e);
-        }
-        activeCrawlers.delete(taskId);
+  ipcMain.handle('images-open-folder', async (event, { taskId }) => {
+    try {
+      if (!queueService) {
+        throw new Error('Queue service not initialized');
       }
+      const task = queueService.getTasks().find(t => t.id === taskId);
+      const imageDir = task && task.result && task.result.imageDir;
+      if (!imageDir || !fs.existsSync(imageDir)) {
+        throw new Error('No downloaded images for this task');
+      }
+      const openError = await shell.openPath(imageDir);
+      if (openError) {
+        throw new Error(openError);
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Selector profile operations
+  ipcMain.handle('selectors-get', async () => {
+    try {
+      return { success: true, data: getSelectorStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
 
+  ipcMain.handle('selectors-open', async () => {
+    try {
+      if (!selectorProfiles || !crawlerRegistry) {
+        throw new Error('Selector profiles not loaded');
+      }
+      const filePath = selectorProfiles.getSelectorOverridePath();
+      if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(getSelectorOverrideTemplate(), null, 2), 'utf-8');
+      }
+      const openError = await shell.openPath(filePath);
+      if (openError) {
+        throw new Error(openError);
+      }
+      return { success: true, path: filePath };
+    } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  // Stop/cancel a crawl task
-  ipcMain.handle('stop-crawl', async (event, { taskId }) => {
+  ipcMain.handle('selectors-reload', async () => {
     try {
-      const crawler = activeCrawlers.get(taskId);
-      if (crawler) {
-        await crawler.close();
-        activeCrawlers.delete(taskId);
-        return { success: true };
+      if (!selectorProfiles) {
+        throw new Error('Selector profiles not loaded');
       }
-      return { success: false, error: 'Crawler not found' };
+      selectorProfiles.reloadSelectorProfiles();
+      return { success: true, data: getSelectorStatus() };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -187,6 +922,29 @@ function setupIpcHandlers() {
     }
   });
 
+  ipcMain.handle('db-get-url-failure-stats', async (event, { limit }) => {
+    try {
+      if (!taskDb) {
+        throw new Error('Database not initialized');
+      }
+      const stats = taskDb.getUrlFailureStats(limit);
+      return { success: true, data: stats };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('db-get-result-history', async (event, { url }) => {
+    try {
+      if (!taskDb) {
+        throw new Error('Database not initialized');
+      }
+      return { success: true, data: buildHistory(taskDb.getSnapshots(url)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('db-get-stats', async () => {
     try {
       if (!taskDb) {
@@ -201,18 +959,50 @@ function setupIpcHandlers() {
 }
 
 app.whenReady().then(async () => {
-  // Load BookingCrawler module
+  // Load site crawlers
   try {
-    const module = await import('./crawlers/bookingCrawler.js');
-    BookingCrawler = module.default;
-    if (!BookingCrawler) {
-      throw new Error('BookingCrawler default export is undefined');
-    }
+    crawlerRegistry = await import('./crawlers/registry.js');
   } catch (error) {
-    console.error('Failed to load BookingCrawler:', error);
+    console.error('Failed to load crawler registry:', error);
     // Continue without crawler - app can still function for viewing data
   }
 
+  // Selector overrides are re-read whenever the user saves the file
+  try {
+    selectorProfiles = await import('./crawlers/selectorProfile.js');
+    selectorProfiles.setSelectorOverridePath(path.join(app.getPath('userData'), 'selectors.json'), () => {
+      try {
+        sendToRenderer('selectors-updated', getSelectorStatus());
+      } catch (error) {
+        console.error('Failed to reload selector profiles:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to load selector profiles:', error);
+  }
+
+  try {
+    imageDownloader = await import('./crawlers/imageDownloader.js');
+  } catch (error) {
+    console.error('Failed to load image downloader:', error);
+  }
+
+  try {
+    const module = await import('./crawlers/searchCrawler.js');
+    SearchCrawler = module.default;
+  } catch (error) {
+    console.error('Failed to load SearchCrawler:', error);
+  }
+
+  // Create the shared browser pool (falls back to one browser per task if it fails)
+  try {
+    const module = await import('./crawlers/browserPool.js');
+    const BrowserPool = module.default;
+    browserPool = new BrowserPool({ size: QueueService.DEFAULT_CONFIG.concurrency });
+  } catch (error) {
+    console.error('Failed to create browser pool:', error);
+  }
+
   // Initialize database
   try {
     taskDb = new TaskDatabase();
@@ -224,6 +1014,44 @@ app.whenReady().then(async () => {
     // Continue without database - app can still function
   }
 
+  // Load persisted settings
+  try {
+    settingsStore = new SettingsStore();
+  } catch (error) {
+    console.error('Failed to initialize settings:', error);
+  }
+
+  // Initialize queue scheduler (works in memory if the database failed)
+  queueService = new QueueService({
+    db: taskDb,
+    send: sendQueueEvent,
+    runTask: async (task, reporter) => {
+      const chromePath = await resolveChromePath();
+      return crawlHotel({
+        taskId: task.id,
+        url: task.url,
+        stay: task.stay,
+        languages: task.languages,
+        headless: queueService.config.headless,
+        chromePath,
+        userAgent: queueService.config.userAgent,
+        rotateUserAgent: queueService.config.rotateUserAgent,
+        reviewLimit: queueService.config.reviewLimit,
+        downloadImages: queueService.config.downloadImages,
+        proxy: reporter.proxy,
+        signal: reporter.signal,
+      }, reporter);
+    },
+  });
+  if (settingsStore) {
+    applySettings(settingsStore.get());
+  }
+  try {
+    queueService.init();
+  } catch (error) {
+    console.error('Failed to load queue from database:', error);
+  }
+
   // Setup IPC handlers
   setupIpcHandlers();
 
@@ -256,6 +1084,11 @@ app.on('before-quit', async (event) => {
   }, 3000);
 
   try {
+    // Stop scheduling new tasks
+    if (queueService) {
+      queueService.shutdown();
+    }
+
     // Close all active crawlers
     if (activeCrawlers.size > 0) {
       const closePromises = [];
@@ -270,6 +1103,12 @@ app.on('before-quit', async (event) => {
       activeCrawlers.clear();
     }
 
+    // Close pooled browsers
+    if (browserPool) {
+      await browserPool.closeAll();
+      browserPool = null;
+    }
+
     // Close database connection
     if (taskDb) {
       try {
@@ -1,6 +1,6 @@
 // Type definitions for Electron APIs exposed via preload
 
-import { Task } from './types';
+import { Task, QueueState, Settings, UrlFailureStats, CrawlStage, SearchFilters, StaySearch, SelectorStatus, SiteCoverage, ProxyStatus, ProxyCheckResult, ResultVersion } from './types';
 
 export interface ElectronAPI {
   platform: string;
@@ -10,15 +10,59 @@ export interface ElectronAPI {
     electron: string;
   };
   crawler: {
-    findChrome: () => Promise<{ success: boolean; path?: string; error?: string }>;
+    findChrome: () => Promise<{ success: boolean; path?: string; custom?: boolean; error?: string }>;
     crawlHotel: (
       taskId: string,
       url: string,
       headless: boolean,
-      chromePath?: string | null
+      chromePath?: string | null,
+      userAgent?: string,
+      rotateUserAgent?: boolean
     ) => Promise<{ success: boolean; data?: any; error?: string }>;
     stopCrawl: (taskId: string) => Promise<{ success: boolean; error?: string }>;
-    onCrawlerLog: (callback: (data: { taskId: string; message: string; type: string }) => void) => () => void;
+    onCrawlerLog: (callback: (data: { taskId: string | null; message: string; type: string; timestamp?: number }) => void) => () => void;
+    onCrawlerProgress: (callback: (data: { taskId: string; progress: number; stage: CrawlStage }) => void) => () => void;
+  };
+  queue: {
+    getTasks: () => Promise<{ success: boolean; data?: Task[]; error?: string }>;
+    getState: () => Promise<{ success: boolean; data?: QueueState; error?: string }>;
+    addTasks: (urls: string[], stay?: StaySearch | null, languages?: string[] | null) => Promise<{ success: boolean; data?: Task[]; error?: string }>;
+    addFromSearch: (url: string, options?: { maxPages?: number; filters?: SearchFilters; stay?: StaySearch | null; languages?: string[] | null }) => Promise<{ success: boolean; data?: Task[]; found?: number; error?: string }>;
+    start: () => Promise<{ success: boolean; error?: string }>;
+    pause: () => Promise<{ success: boolean; error?: string }>;
+    cancelTasks: (taskIds: string[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+    cancelAll: () => Promise<{ success: boolean; count?: number; error?: string }>;
+    resumeTasks: (taskIds: string[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+    getFieldCoverage: () => Promise<{ success: boolean; data?: SiteCoverage[]; error?: string }>;
+    resetTasks: (taskIds: string[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+    recrawlMissing: (taskIds?: string[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+    deleteTasks: (taskIds: string[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+    clear: () => Promise<{ success: boolean; error?: string }>;
+    onTaskUpdated: (callback: (task: Omit<Task, 'logs'>) => void) => () => void;
+    onTasksRemoved: (callback: (data: { taskIds: string[] }) => void) => () => void;
+    onStateChanged: (callback: (state: QueueState) => void) => () => void;
+  };
+  settings: {
+    get: () => Promise<{ success: boolean; data?: Settings; error?: string }>;
+    set: (changes: Partial<Settings>) => Promise<{ success: boolean; data?: Settings; error?: string }>;
+    chooseChrome: () => Promise<{ success: boolean; data?: Settings; canceled?: boolean; error?: string }>;
+    importFile: () => Promise<{ success: boolean; data?: Settings; canceled?: boolean; error?: string }>;
+    exportFile: () => Promise<{ success: boolean; path?: string; credentialsOmitted?: boolean; canceled?: boolean; error?: string }>;
+  };
+  proxies: {
+    getStatus: () => Promise<{ success: boolean; data?: ProxyStatus; error?: string }>;
+    check: () => Promise<{ success: boolean; data?: ProxyCheckResult[]; error?: string }>;
+    onStatusChanged: (callback: (status: ProxyStatus) => void) => () => void;
+  };
+  images: {
+    exportZip: (taskIds: string[]) => Promise<{ success: boolean; path?: string; count?: number; canceled?: boolean; error?: string }>;
+    openFolder: (taskId: string) => Promise<{ success: boolean; error?: string }>;
+  };
+  selectors: {
+    get: () => Promise<{ success: boolean; data?: SelectorStatus; error?: string }>;
+    openOverrides: () => Promise<{ success: boolean; path?: string; error?: string }>;
+    reload: () => Promise<{ success: boolean; data?: SelectorStatus; error?: string }>;
+    onUpdated: (callback: (status: SelectorStatus) => void) => () => void;
   };
   db: {
     saveTask: (task: Task) => Promise<{ success: boolean; error?: string }>;
@@ -27,6 +71,8 @@ export interface ElectronAPI {
     deleteTask: (taskId: string) => Promise<{ success: boolean; deleted?: boolean; error?: string }>;
     deleteAllTasks: () => Promise<{ success: boolean; error?: string }>;
     getStats: () => Promise<{ success: boolean; data?: any; error?: string }>;
+    getUrlFailureStats: (limit?: number) => Promise<{ success: boolean; data?: UrlFailureStats[]; error?: string }>;
+    getResultHistory: (url: string) => Promise<{ success: boolean; data?: ResultVersion[]; error?: string }>;
   };
 }
 
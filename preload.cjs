@@ -16,8 +16,8 @@ contextBridge.exposeInMainWorld('electron', {
     findChrome: () => ipcRenderer.invoke('find-chrome'),
 
     // Start crawling a hotel
-    crawlHotel: (taskId, url, headless, chromePath) =>
-      ipcRenderer.invoke('crawl-hotel', { taskId, url, headless, chromePath }),
+    crawlHotel: (taskId, url, headless, chromePath, userAgent, rotateUserAgent) =>
+      ipcRenderer.invoke('crawl-hotel', { taskId, url, headless, chromePath, userAgent, rotateUserAgent }),
 
     // Stop a crawl task
     stopCrawl: (taskId) =>
@@ -30,6 +30,133 @@ contextBridge.exposeInMainWorld('electron', {
       // Return unsubscribe function
       return () => ipcRenderer.removeListener('crawler-log', subscription);
     },
+
+    // Listen to crawl stage progress (crawlHotel calls only; queued tasks update via queue events)
+    onCrawlerProgress: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('crawler-progress', subscription);
+      return () => ipcRenderer.removeListener('crawler-progress', subscription);
+    },
+  },
+
+  // Queue APIs (scheduler runs in the main process)
+  queue: {
+    // Get all tasks in queue order
+    getTasks: () => ipcRenderer.invoke('queue-get-tasks'),
+
+    // Get scheduler state (running flag, busy slots)
+    getState: () => ipcRenderer.invoke('queue-get-state'),
+
+    // Add URLs as WAITING tasks
+    addTasks: (urls, stay = null, languages = null) => ipcRenderer.invoke('queue-add-tasks', { urls, stay, languages }),
+
+    // Crawl a search results page and add the hotels found
+    addFromSearch: (url, options = {}) => ipcRenderer.invoke('queue-add-from-search', { url, ...options }),
+
+    // Start / pause processing
+    start: () => ipcRenderer.invoke('queue-start'),
+    pause: () => ipcRenderer.invoke('queue-pause'),
+
+    // Cancel running or waiting tasks
+    cancelTasks: (taskIds) => ipcRenderer.invoke('queue-cancel-tasks', { taskIds }),
+    cancelAll: () => ipcRenderer.invoke('queue-cancel-all'),
+
+    // Put CANCELLED tasks back to WAITING
+    resumeTasks: (taskIds) => ipcRenderer.invoke('queue-resume-tasks', { taskIds }),
+
+    // Fill rates per site and field over recent completed tasks
+    getFieldCoverage: () => ipcRenderer.invoke('queue-get-field-coverage'),
+
+    // Reset tasks to WAITING
+    resetTasks: (taskIds) => ipcRenderer.invoke('queue-reset-tasks', { taskIds }),
+    recrawlMissing: (taskIds) => ipcRenderer.invoke('queue-recrawl-missing', { taskIds }),
+
+    // Delete tasks
+    deleteTasks: (taskIds) => ipcRenderer.invoke('queue-delete-tasks', { taskIds }),
+
+    // Delete all tasks
+    clear: () => ipcRenderer.invoke('queue-clear'),
+
+    // Listen to task changes
+    onTaskUpdated: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('queue-task-updated', subscription);
+      return () => ipcRenderer.removeListener('queue-task-updated', subscription);
+    },
+
+    // Listen to task removals
+    onTasksRemoved: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('queue-tasks-removed', subscription);
+      return () => ipcRenderer.removeListener('queue-tasks-removed', subscription);
+    },
+
+    // Listen to scheduler state changes
+    onStateChanged: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('queue-state', subscription);
+      return () => ipcRenderer.removeListener('queue-state', subscription);
+    },
+  },
+
+  // Settings APIs (persisted in the main process)
+  settings: {
+    // Get AppConfig and Chrome path
+    get: () => ipcRenderer.invoke('settings-get'),
+
+    // Merge and persist changes
+    set: (changes) => ipcRenderer.invoke('settings-set', changes),
+
+    // Pick a Chrome executable that overrides auto-detection
+    chooseChrome: () => ipcRenderer.invoke('settings-choose-chrome'),
+
+    // Import / export settings as a JSON file
+    importFile: () => ipcRenderer.invoke('settings-import'),
+    exportFile: () => ipcRenderer.invoke('settings-export'),
+  },
+
+  // Proxy APIs (list and rotation live in AppConfig)
+  proxies: {
+    // Get each proxy's health and rotation state
+    getStatus: () => ipcRenderer.invoke('proxies-get-status'),
+
+    // Load a test page through every proxy
+    check: () => ipcRenderer.invoke('proxies-check'),
+
+    // Listen to health changes
+    onStatusChanged: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('proxy-status', subscription);
+      return () => ipcRenderer.removeListener('proxy-status', subscription);
+    },
+  },
+
+  // Downloaded image APIs
+  images: {
+    // Zip the saved images of the given tasks, one folder per hotel
+    exportZip: (taskIds) => ipcRenderer.invoke('images-export-zip', { taskIds }),
+
+    // Open a task's image folder in the file manager
+    openFolder: (taskId) => ipcRenderer.invoke('images-open-folder', { taskId }),
+  },
+
+  // Selector profile APIs (bundled selectors plus user overrides)
+  selectors: {
+    // Get profile versions and override status
+    get: () => ipcRenderer.invoke('selectors-get'),
+
+    // Open the override file in the default editor, creating it if needed
+    openOverrides: () => ipcRenderer.invoke('selectors-open'),
+
+    // Re-read bundled and override files
+    reload: () => ipcRenderer.invoke('selectors-reload'),
+
+    // Listen to override file changes
+    onUpdated: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('selectors-updated', subscription);
+      return () => ipcRenderer.removeListener('selectors-updated', subscription);
+    },
   },
 
   // Database APIs
@@ -52,6 +179,13 @@ contextBridge.exposeInMainWorld('electron', {
 
     // Get statistics
     getStats: () => ipcRenderer.invoke('db-get-stats'),
+
+    // Get failed attempt counts per URL
+    getUrlFailureStats: (limit = 100) =>
+      ipcRenderer.invoke('db-get-url-failure-stats', { limit }),
+
+    // Get every crawled version of a URL with per-field changes, newest first
+    getResultHistory: (url) => ipcRenderer.invoke('db-get-result-history', { url }),
   },
 });
 
@@ -0,0 +1,119 @@
+/**
+ * Field coverage across completed tasks.
+ * Compares how often each result field was filled in the most recent tasks
+ * of a site with the tasks before them, so a selector that stops matching
+ * shows up as a drop instead of a run of COMPLETED tasks with empty fields.
+ */
+
+const RECENT_WINDOW = 20; // Most recent completed tasks per site
+const BASELINE_WINDOW = 100; // Completed tasks before the recent window
+const MIN_RECENT_SAMPLES = 5;
+const MIN_BASELINE_SAMPLES = 10;
+const DROP_THRESHOLD = 0.3; // Alert when the fill rate falls by 30 points or more
+
+const isNonEmpty = value => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// Fields checked on every result; appliesTo limits a field to tasks that ask for it
+const COVERAGE_FIELDS = [
+  { field: 'name', label: 'Name', isFilled: r => isNonEmpty(r.name) && r.name !== 'Unknown Hotel' },
+  { field: 'address', label: 'Address', isFilled: r => isNonEmpty(r.address) && r.address !== 'No address' },
+  { field: 'rating', label: 'Star rating', isFilled: r => r.rating > 0 },
+  { field: 'reviewSummary', label: 'Review score', isFilled: r => Boolean(r.reviewSummary && r.reviewSummary.score != null) },
+  { field: 'coordinates', label: 'Coordinates', isFilled: r => r.latitude != null && r.longitude != null },
+  { field: 'about', label: 'Description', isFilled: r => isNonEmpty(r.about) },
+  { field: 'facilities', label: 'Facilities', isFilled: r => isNonEmpty(r.facilities) },
+  { field: 'faqs', label: 'FAQs', isFilled: r => isNonEmpty(r.faqs) },
+  { field: 'houseRules', label: 'House rules', isFilled: r => Boolean(r.houseRules) },
+  { field: 'hotelAreaInfo', label: 'Area info', isFilled: r => isNonEmpty(r.hotelAreaInfo) },
+  { field: 'images', label: 'Images', isFilled: r => isNonEmpty(r.images) },
+  { field: 'rooms', label: 'Rooms', isFilled: r => isNonEmpty(r.rooms), appliesTo: task => Boolean(task.stay) },
+];
+
+/**
+ * Share of applicable tasks with the field filled, null when no task applies
+ */
+function getFillRate(tasks, definition) {
+  const applicable = definition.appliesTo ? tasks.filter(definition.appliesTo) : tasks;
+  if (applicable.length === 0) {
+    return { rate: null, samples: 0 };
+  }
+  const filled = applicable.filter(task => definition.isFilled(task.result)).length;
+  return { rate: filled / applicable.length, samples: applicable.length };
+}
+
+/**
+ * Count which selector filled a field in the given tasks (from task.diagnostics)
+ */
+function getSelectorMatches(tasks, field) {
+  const counts = new Map();
+  for (const task of tasks) {
+    const diagnostic = task.diagnostics && task.diagnostics[field];
+    if (!diagnostic) continue;
+
+    const key = `${diagnostic.source}\n${diagnostic.selector}`;
+    const entry = counts.get(key) || { source: diagnostic.source, selector: diagnostic.selector, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Fill rates per site and field, recent window against the baseline before it
+ * @param {Object[]} tasks - tasks in any order; only COMPLETED and PARTIAL tasks with a result count
+ * @returns {Object[]} [{ site, recentCount, baselineCount, fields: [...] }]
+ */
+function computeFieldCoverage(tasks) {
+  const bySite = new Map();
+  const completed = tasks
+    .filter(task => (task.status === 'COMPLETED' || task.status === 'PARTIAL') && task.result)
+    .sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0));
+
+  for (const task of completed) {
+    // Results saved before multi-site support have no site and came from Booking.com
+    const site = task.result.site || 'booking';
+    if (!bySite.has(site)) bySite.set(site, []);
+    bySite.get(site).push(task);
+  }
+
+  return [...bySite.entries()].map(([site, siteTasks]) => {
+    const recent = siteTasks.slice(0, RECENT_WINDOW);
+    const baseline = siteTasks.slice(RECENT_WINDOW, RECENT_WINDOW + BASELINE_WINDOW);
+
+    const fields = COVERAGE_FIELDS.map(definition => {
+      const current = getFillRate(recent, definition);
+      const before = getFillRate(baseline, definition);
+      const alert = current.samples >= MIN_RECENT_SAMPLES &&
+        before.samples >= MIN_BASELINE_SAMPLES &&
+        before.rate - current.rate >= DROP_THRESHOLD;
+
+      return {
+        field: definition.field,
+        label: definition.label,
+        recentRate: current.rate,
+        recentSamples: current.samples,
+        baselineRate: before.rate,
+        baselineSamples: before.samples,
+        alert,
+        matches: getSelectorMatches(recent, definition.field),
+      };
+    });
+
+    return { site, recentCount: recent.length, baselineCount: baseline.length, fields };
+  });
+}
+
+/**
+ * Flatten coverage into the fields whose fill rate dropped
+ */
+function getCoverageAlerts(coverage) {
+  return coverage.flatMap(({ site, fields }) =>
+    fields.filter(field => field.alert).map(field => ({ site, ...field }))
+  );
+}
+
+module.exports = {
+  COVERAGE_FIELDS,
+  computeFieldCoverage,
+  getCoverageAlerts,
+};
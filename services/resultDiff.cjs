@@ -0,0 +1,102 @@
+/**
+ * Per-field changes between two crawls of the same hotel.
+ * Single values report before/after; list fields (facilities, images,
+ * FAQs, house rules...) report the items added and removed, so a new
+ * version reads as "Facilities +3, Description changed".
+ */
+
+const PLACEHOLDERS = ['Unknown Hotel', 'No address']; // Written by the queue when a field is missing
+
+const valueOf = value => (value == null || value === '' || PLACEHOLDERS.includes(value) ? null : value);
+
+// Results saved before grouping hold a flat string list
+const facilityNames = (result) => {
+  if (Array.isArray(result.facilityList)) return result.facilityList;
+  return (result.facilities || []).flatMap(entry => (typeof entry === 'string' ? [entry] : (entry.items || []).map(item => item.name)));
+};
+
+const sameStay = (a, b) => JSON.stringify(a.stay || null) === JSON.stringify(b.stay || null);
+
+// kind: 'value' (short before/after), 'text' (long before/after), 'list' (added/removed items)
+const DIFF_FIELDS = [
+  { field: 'name', label: 'Name', kind: 'value', get: r => valueOf(r.name) },
+  { field: 'address', label: 'Address', kind: 'value', get: r => valueOf(r.address) },
+  { field: 'rating', label: 'Star rating', kind: 'value', get: r => r.rating || null },
+  { field: 'reviewScore', label: 'Review score', kind: 'value', get: r => valueOf(r.reviewSummary && r.reviewSummary.score) },
+  { field: 'reviewCount', label: 'Review count', kind: 'value', get: r => valueOf(r.reviewSummary && r.reviewSummary.reviewCount) },
+  { field: 'coordinates', label: 'Coordinates', kind: 'value', get: r => (r.latitude != null && r.longitude != null ? `${r.latitude}, ${r.longitude}` : null) },
+  { field: 'about', label: 'Description', kind: 'text', get: r => valueOf(r.aboutText || r.about) },
+  { field: 'facilities', label: 'Facilities', kind: 'list', get: facilityNames },
+  { field: 'images', label: 'Images', kind: 'list', get: r => r.images || [] },
+  { field: 'faqs', label: 'FAQs', kind: 'list', get: r => (r.faqs || []).map(faq => faq.question) },
+  { field: 'houseRules', label: 'House rules', kind: 'list', get: r => ((r.houseRules && r.houseRules.rules) || []).map(rule => `${rule.label}: ${rule.value}`) },
+  { field: 'hotelAreaInfo', label: 'Area info', kind: 'list', get: r => (r.hotelAreaInfo || []).flatMap(area => area.items.map(item => `${item.name} (${item.distance})`)) },
+  // Prices only compare for the same dates and guests
+  { field: 'rooms', label: 'Rooms', kind: 'list', get: r => (r.rooms || []).map(room => `${room.roomType}: ${room.priceText}`), comparable: sameStay },
+];
+
+/**
+ * Changes from one result to the next, in DIFF_FIELDS order; empty when nothing changed
+ * @returns {Object[]} { field, label, kind, before, after } or { field, label, kind, added, removed }
+ */
+function diffResults(previous, next) {
+  const changes = [];
+  for (const { field, label, kind, get, comparable } of DIFF_FIELDS) {
+    if (comparable && !comparable(previous, next)) continue;
+
+    const before = get(previous);
+    const after = get(next);
+    if (kind === 'list') {
+      const beforeSet = new Set(before);
+      const afterSet = new Set(after);
+      const added = [...afterSet].filter(item => !beforeSet.has(item));
+      const removed = [...beforeSet].filter(item => !afterSet.has(item));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field, label, kind, added, removed });
+      }
+    } else if (before !== after) {
+      changes.push({ field, label, kind, before, after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * One-line summary for the task log: "Facilities +3 -1, Description changed"
+ */
+function summarizeChanges(changes) {
+  return changes
+    .map(change => {
+      if (change.kind !== 'list') return `${change.label} changed`;
+      const counts = [];
+      if (change.added.length > 0) counts.push(`+${change.added.length}`);
+      if (change.removed.length > 0) counts.push(`-${change.removed.length}`);
+      return `${change.label} ${counts.join(' ')}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Versions of a URL with the changes each one brought, newest first
+ * @param {Object[]} snapshots - { version, taskId, status, crawledAt, result, kept }, oldest first
+ * @returns {Object[]} { version, taskId, status, crawledAt, changes, kept }; changes is null for the first version,
+ *   kept lists the fields the task carried over from the previous result because this crawl did not find them
+ */
+function buildHistory(snapshots) {
+  return snapshots
+    .map((snapshot, index) => ({
+      version: snapshot.version,
+      taskId: snapshot.taskId,
+      status: snapshot.status,
+      crawledAt: snapshot.crawledAt,
+      changes: index > 0 ? diffResults(snapshots[index - 1].result, snapshot.result) : null,
+      kept: snapshot.kept || [],
+    }))
+    .reverse();
+}
+
+module.exports = {
+  diffResults,
+  summarizeChanges,
+  buildHistory,
+};
@@ -0,0 +1,105 @@
+const { COVERAGE_FIELDS } = require('./fieldCoverage.cjs');
+
+/**
+ * Result validation.
+ * A crawl that ends without fields the user relies on is not a success:
+ * the queue marks it PARTIAL with the missing fields instead of COMPLETED.
+ * Required fields are picked from COVERAGE_FIELDS and use the same notion
+ * of "filled", so the "Unknown Hotel" / "No address" placeholders count as missing.
+ */
+
+// Result keys behind a field, when it is not stored under its own name
+const FIELD_KEYS = {
+  coordinates: ['latitude', 'longitude'],
+  about: ['about', 'aboutText'],
+  facilities: ['facilities', 'facilityList'],
+  images: ['images', 'localImages', 'imageDir'],
+};
+
+const getDefinition = field => COVERAGE_FIELDS.find(definition => definition.field === field) || null;
+
+const getFieldLabel = field => {
+  const definition = getDefinition(field);
+  return definition ? definition.label : field;
+};
+
+/**
+ * Number of facilities, for grouped (FacilityGroup[]) and legacy (string[]) results
+ */
+function countFacilities(result) {
+  if (Array.isArray(result.facilityList)) return result.facilityList.length;
+  return (result.facilities || []).reduce((count, entry) => count + (typeof entry === 'string' ? 1 : (entry.items || []).length), 0);
+}
+
+const getRequiredFields = config => (Array.isArray(config.requiredFields) ? config.requiredFields : []);
+
+/**
+ * Minimum count per countable field; a required field needs at least one
+ */
+function getMinimums(config) {
+  const requiredFields = getRequiredFields(config);
+  const { minImages = 0, minFacilities = 0 } = config;
+  return {
+    images: Math.max(minImages || 0, requiredFields.includes('images') ? 1 : 0),
+    facilities: Math.max(minFacilities || 0, requiredFields.includes('facilities') ? 1 : 0),
+  };
+}
+
+/**
+ * Fields of a result that fail the validation settings, in COVERAGE_FIELDS order
+ * @param {Object} result - HotelData as built by the queue
+ * @param {Object} task - the task it belongs to; fields that do not apply to it (rooms without stay dates) are skipped
+ * @param {Object} config - AppConfig with requiredFields, minImages, minFacilities
+ * @returns {string[]} field names, e.g. ['address', 'images']
+ */
+function getMissingFields(result, task, config = {}) {
+  const requiredFields = getRequiredFields(config);
+  const minimums = getMinimums(config);
+  const counts = { images: (result.images || []).length, facilities: countFacilities(result) };
+
+  return COVERAGE_FIELDS
+    .filter(definition => !definition.appliesTo || definition.appliesTo(task))
+    .filter(definition => {
+      const { field } = definition;
+      if (field in minimums) return counts[field] < minimums[field];
+      return requiredFields.includes(field) && !definition.isFilled(result);
+    })
+    .map(definition => definition.field);
+}
+
+/**
+ * Missing fields for a log line, with counts where a minimum applies: "Address, Images (2/5)"
+ */
+function describeMissingFields(fields, result, config = {}) {
+  const minimums = getMinimums(config);
+  const counts = { images: (result.images || []).length, facilities: countFacilities(result) };
+  return fields
+    .map(field => (minimums[field] > 1 ? `${getFieldLabel(field)} (${counts[field]}/${minimums[field]})` : getFieldLabel(field)))
+    .join(', ');
+}
+
+/**
+ * Fill fields a re-crawl came back without from the previous result
+ * A flaky section on the new page must not lose data the previous crawl had.
+ * @returns {{ result: Object, kept: string[] }} merged result and the fields taken from `previous`
+ */
+function mergeMissingFields(previous, next) {
+  const result = { ...next };
+  const kept = [];
+  for (const definition of COVERAGE_FIELDS) {
+    if (definition.isFilled(next) || !definition.isFilled(previous)) continue;
+
+    for (const key of FIELD_KEYS[definition.field] || [definition.field]) {
+      result[key] = previous[key];
+    }
+    kept.push(definition.field);
+  }
+  return { result, kept };
+}
+
+module.exports = {
+  getMissingFields,
+  describeMissingFields,
+  mergeMissingFields,
+  getFieldLabel,
+};
@@ -0,0 +1,67 @@
+/**
+ * Retry rules for failed crawl attempts.
+ * Only transient failures (timeouts, network errors, rate limits, server
+ * errors, block pages) are retried; bad URLs and missing pages fail immediately.
+ */
+
+const MAX_BACKOFF_SECONDS = 600;
+
+// Failures that will not go away by trying again
+const NON_RETRYABLE_PATTERNS = [
+  /invalid url/i,
+  /cannot navigate to invalid url/i,
+  /net::ERR_INVALID_URL/i,
+  /net::ERR_NAME_NOT_RESOLVED/i,
+  /net::ERR_ABORTED/i,
+  /Crawler registry not loaded/i,
+  /Unsupported site/i,
+];
+
+// Transient browser / network failures
+const RETRYABLE_PATTERNS = [
+  /timeout/i,
+  /net::ERR_/i,
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE/i,
+  /socket hang up/i,
+  /Target closed/i,
+  /Session closed/i,
+  /Protocol error/i,
+  /Navigating frame was detached/i,
+  /Execution context was destroyed/i,
+  /No proxy available/i,
+];
+
+/**
+ * Decide whether a failed attempt should be retried
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  // Challenge/block pages often clear after a pause, and the next attempt may get another proxy
+  if (error.code === 'BLOCKED') return true;
+
+  // HTTP status attached by the crawler: retry rate limits and server errors only,
+  // plus proxy auth failures since the next attempt may get another proxy
+  if (typeof error.httpStatus === 'number') {
+    return error.httpStatus === 429 || error.httpStatus === 407 || error.httpStatus >= 500;
+  }
+
+  const message = error.message || String(error);
+  if (NON_RETRYABLE_PATTERNS.some(pattern => pattern.test(message))) {
+    return false;
+  }
+  return RETRYABLE_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Exponential backoff in ms: base, 2x base, 4x base, ... capped at 10 minutes
+ */
+function getBackoffDelay(attempt, baseSeconds) {
+  const seconds = Math.min(baseSeconds * Math.pow(2, Math.max(0, attempt - 1)), MAX_BACKOFF_SECONDS);
+  return seconds * 1000;
+}
+
+module.exports = {
+  isRetryableError,
+  getBackoffDelay,
+};
@@ -0,0 +1,118 @@
+const path = require('path');
+const fs = require('fs');
+const { app } = require('electron');
+const { DEFAULT_CONFIG } = require('./queueService.cjs');
+const ProxyPool = require('./proxyPool.cjs');
+
+const SETTINGS_VERSION = 1;
+
+/**
+ * Persistent app settings stored as JSON under userData.
+ * Holds the AppConfig used by the scheduler and a user-chosen Chrome path.
+ */
+class SettingsStore {
+  constructor() {
+    const userDataPath = app.getPath('userData');
+    this.filePath = path.join(userDataPath, 'settings.json');
+    this.settings = this.normalize({});
+    this.load();
+  }
+
+  /**
+   * Load settings from disk, falling back to defaults
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.settings = this.normalize(raw);
+      }
+    } catch (error) {
+      console.error('Failed to read settings, using defaults:', error.message);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Write current settings to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.settings, null, 2), 'utf-8');
+  }
+
+  /**
+   * Get all settings
+   */
+  get() {
+    return this.settings;
+  }
+
+  /**
+   * Merge a partial settings object and persist it
+   */
+  set(changes = {}) {
+    this.settings = this.normalize({
+      ...this.settings,
+      ...changes,
+      config: { ...this.settings.config, ...(changes.config || {}) },
+    });
+    this.save();
+    return this.settings;
+  }
+
+  /**
+   * Replace settings with the contents of a JSON file
+   */
+  importFrom(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Invalid settings file');
+    }
+    this.settings = this.normalize(raw);
+    this.save();
+    return this.settings;
+  }
+
+  /**
+   * Whether the proxy list holds usernames or passwords
+   */
+  hasProxyCredentials() {
+    return ProxyPool.parseProxyList(this.settings.config.proxyList).proxies.some(proxy => proxy.username);
+  }
+
+  /**
+   * Write settings to a JSON file
+   * Proxy credentials are left out unless asked for: the file is plain text and meant to be shared.
+   * @param {string} filePath
+   * @param {Object} options - { includeCredentials }
+   */
+  exportTo(filePath, { includeCredentials = false } = {}) {
+    const settings = includeCredentials
+      ? this.settings
+      : { ...this.settings, config: { ...this.settings.config, proxyList: ProxyPool.stripProxyCredentials(this.settings.config.proxyList) } };
+    fs.writeFileSync(filePath, JSON.stringify(settings, null, 2), 'utf-8');
+  }
+
+  /**
+   * Fill in defaults and drop unknown or mistyped values
+   */
+  normalize(raw) {
+    const config = { ...DEFAULT_CONFIG };
+    const rawConfig = raw.config && typeof raw.config === 'object' ? raw.config : {};
+
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      if (typeof rawConfig[key] === typeof DEFAULT_CONFIG[key]) {
+        config[key] = rawConfig[key];
+      }
+    }
+
+    return {
+      version: SETTINGS_VERSION,
+      config,
+      chromePath: typeof raw.chromePath === 'string' && raw.chromePath ? raw.chromePath : null,
+    };
+  }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+
+/**
+ * Minimal ZIP writer for image exports.
+ * Entries are stored without compression: JPEG/PNG/WebP are already
+ * compressed, so deflating them gains almost nothing. No ZIP64, so each
+ * file and the whole archive must stay under 4 GB.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields used by ZIP headers
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Write a ZIP file
+ * @param {string} filePath - archive to create
+ * @param {{ name: string, path: string }[]} entries - name inside the archive and file on disk
+ * @returns {number} number of entries written
+ */
+function writeZip(filePath, entries) {
+  const fd = fs.openSync(filePath, 'w');
+  const central = [];
+  let offset = 0;
+
+  const write = (buffer) => {
+    fs.writeSync(fd, buffer);
+    offset += buffer.length;
+  };
+
+  try {
+    for (const entry of entries) {
+      const data = fs.readFileSync(entry.path);
+      const name = Buffer.from(entry.name.replace(/\\/g, '/'), 'utf-8');
+      const { time, date } = toDosDateTime(fs.statSync(entry.path).mtime);
+      const crc = crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // Version needed
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(0, 8); // Stored
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(data.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(0, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(crc, 16);
+      header.writeUInt32LE(data.length, 20);
+      header.writeUInt32LE(data.length, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE(offset, 42); // Remaining fields (extra, comment, disk, attributes) stay 0
+      central.push(Buffer.concat([header, name]));
+
+      write(local);
+      write(name);
+      write(data);
+    }
+
+    const centralStart = offset;
+    central.forEach(write);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(offset - centralStart, 12);
+    end.writeUInt32LE(centralStart, 16);
+    write(end);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return central.length;
+}
+
+module.exports = {
+  writeZip,
+};
@@ -1,7 +1,26 @@
 import * as XLSX from 'xlsx';
-import { Task } from '../types';
+import { Task, AboutFormat } from '../types';
+import { getFacilityGroups, getFacilityList, formatFacility } from './facilities';
+import { getResultFieldLabel } from './resultFields';
 
-export const exportToExcel = (tasks: Task[]) => {
+export interface ExportOptions {
+  aboutFormat: AboutFormat;
+}
+
+const DEFAULT_EXPORT_OPTIONS: ExportOptions = { aboutFormat: 'text' };
+
+// Description in the requested variant; results saved before aboutText existed only have HTML
+const getAbout = (content: { about?: string | null; aboutText?: string | null }, format: AboutFormat) => {
+  if (!content.about) return '';
+  if (format === 'html') return content.about;
+  if (content.aboutText) return content.aboutText;
+  return new DOMParser().parseFromString(content.about, 'text/html').body.textContent?.trim() || '';
+};
+
+const formatFaqs = (faqs?: Array<{ question: string; answer: string }>) =>
+  faqs?.map(faq => `Q: ${faq.question}\nA: ${faq.answer}`).join('\n\n') || '';
+
+export const exportToExcel = (tasks: Task[], options: ExportOptions = DEFAULT_EXPORT_OPTIONS) => {
   const completedTasks = tasks.filter(t => t.result);
 
   if (completedTasks.length === 0) {
@@ -9,10 +28,32 @@ export const exportToExcel = (tasks: Task[]) => {
     return;
   }
 
+  // Every language crawled in any task gets its own columns, in first-seen order
+  const languages = [...new Set(completedTasks.flatMap(task => Object.keys(task.result!.locales || {})))];
+
+  // Same for facility groups: one column per category, unnamed groups under 'Other'
+  const groupTitle = (name: string | null) => `Facilities: ${name || 'Other'}`;
+  const facilityGroupTitles = [...new Set(completedTasks.flatMap(task => getFacilityGroups(task.result).map(group => groupTitle(group.name))))];
+
   // Flatten data for Excel
   const data = completedTasks.map(task => {
     const hotel = task.result!;
 
+    const facilityColumns: Record<string, string> = Object.fromEntries(facilityGroupTitles.map(title => [title, '']));
+    for (const group of getFacilityGroups(hotel)) {
+      const title = groupTitle(group.name);
+      const items = group.items.map(formatFacility).join(', ');
+      facilityColumns[title] = facilityColumns[title] ? `${facilityColumns[title]}, ${items}` : items;
+    }
+
+    const localeColumns: Record<string, string> = {};
+    for (const language of languages) {
+      const content = hotel.locales?.[language];
+      localeColumns[`About (${language})`] = content ? getAbout(content, options.aboutFormat) : '';
+      localeColumns[`Facilities (${language})`] = getFacilityList(content).join(', ');
+      localeColumns[`FAQs (${language})`] = formatFaqs(content?.faqs);
+    }
+
     // Format hotel area info for Excel
     const formatHotelAreaInfo = (areaInfo?: any[]) => {
       if (!areaInfo || areaInfo.length === 0) return '';
@@ -29,28 +70,101 @@ export const exportToExcel = (tasks: Task[]) => {
 
     return {
       'URL': task.url,
+      'Site': hotel.site || '',
       'Hotel Name': hotel.name,
       'Address': hotel.address,
       'City': hotel.cityName || '',
       'Region': hotel.regionName || '',
       'Country': hotel.countryName || '',
+      'Street Address': hotel.postalAddress?.streetAddress || '',
+      'Postal Code': hotel.postalCode || '',
+      'Latitude': hotel.latitude ?? '',
+      'Longitude': hotel.longitude ?? '',
       'Star Rating': hotel.rating || '',
-      'About': hotel.about || '',
-      'Facilities': hotel.facilities?.join(', ') || '',
+      'Review Score': hotel.reviewSummary?.score ?? '',
+      'Review Count': hotel.reviewSummary?.reviewCount ?? '',
+      'Review Categories': hotel.reviewSummary?.categories.map(c => `${c.name}: ${c.score}`).join('\n') || '',
+      'About': getAbout(hotel, options.aboutFormat),
+      'Facilities': getFacilityList(hotel).join(', '),
+      ...facilityColumns,
       'Check-in': hotel.houseRules?.checkIn || '',
       'Check-out': hotel.houseRules?.checkOut || '',
+      'Check-in From': hotel.houseRules?.checkInTime?.from || '',
+      'Check-in Until': hotel.houseRules?.checkInTime?.until || '',
+      'Check-out From': hotel.houseRules?.checkOutTime?.from || '',
+      'Check-out Until': hotel.houseRules?.checkOutTime?.until || '',
       'Pets': hotel.houseRules?.pets || '',
+      'House Rules': hotel.houseRules?.rules?.map(rule => `${rule.label}: ${rule.value}`).join('\n\n') || '',
       'Hotel Area Info': formatHotelAreaInfo(hotel.hotelAreaInfo),
-      'FAQs': hotel.faqs?.map(faq => `Q: ${faq.question}\nA: ${faq.answer}`).join('\n\n') || '',
+      'FAQs': formatFaqs(hotel.faqs),
+      ...localeColumns,
       'All Images (Comma Separated)': hotel.images.join(', '),
+      'Saved Images': hotel.localImages?.length ?? '',
+      'Image Folder': hotel.imageDir || '',
       'Status': task.status,
+      'Missing Fields': task.missingFields?.map(getResultFieldLabel).join(', ') || '',
       'Crawl Time': task.finishedAt ? new Date(task.finishedAt).toLocaleString() : ''
     };
   });
 
+  // One row per room rate, for tasks crawled with stay dates
+  const roomRows = completedTasks.flatMap(task => {
+    const hotel = task.result!;
+    const stay = hotel.stay || task.stay;
+    return (hotel.rooms || []).map(room => ({
+      'URL': task.url,
+      'Hotel Name': hotel.name,
+      'Check-in Date': stay?.checkIn || '',
+      'Check-out Date': stay?.checkOut || '',
+      'Guests': stay ? `${stay.adults} adults, ${stay.children} children, ${stay.rooms} rooms` : '',
+      'Room Type': room.roomType,
+      'Beds': room.bedConfig || '',
+      'Max Occupancy': room.occupancy ?? '',
+      'Price': room.price ?? '',
+      'Price (as shown)': room.priceText,
+      'Currency': stay?.currency || '',
+      'Meal Plan': room.mealPlan || '',
+      'Cancellation Policy': room.cancellationPolicy || '',
+    }));
+  });
+
+  const reviewRows = completedTasks.flatMap(task =>
+    (task.result!.reviews || []).map(review => ({
+      'URL': task.url,
+      'Hotel Name': task.result!.name,
+      'Score': review.score ?? '',
+      'Title': review.title || '',
+      'Liked': review.positive || '',
+      'Disliked': review.negative || '',
+      'Date': review.date || '',
+      'Reviewer Country': review.reviewerCountry || '',
+      'Language': review.language || '',
+    }))
+  );
+
+  // One row per house rule, keyed for filtering across hotels
+  const ruleRows = completedTasks.flatMap(task =>
+    (task.result!.houseRules?.rules || []).map(rule => ({
+      'URL': task.url,
+      'Hotel Name': task.result!.name,
+      'Key': rule.key,
+      'Rule': rule.label,
+      'Value': rule.value,
+    }))
+  );
+
   const worksheet = XLSX.utils.json_to_sheet(data);
   const workbook = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(workbook, worksheet, "Hotel Data");
+  if (roomRows.length > 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(roomRows), "Rooms");
+  }
+  if (reviewRows.length > 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(reviewRows), "Reviews");
+  }
+  if (ruleRows.length > 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(ruleRows), "House Rules");
+  }
 
   // Force UTF-8 with BOM for Excel compatibility
   const wopts: XLSX.WritingOptions = { bookType: 'xlsx', bookSST: false, type: 'array' };
@@ -69,7 +183,7 @@ export const exportToExcel = (tasks: Task[]) => {
   window.URL.revokeObjectURL(url);
 };
 
-export const exportToJSON = (tasks: Task[]) => {
+export const exportToJSON = (tasks: Task[], options: ExportOptions = DEFAULT_EXPORT_OPTIONS) => {
   const completedTasks = tasks.filter(t => t.result);
 
   if (completedTasks.length === 0) {
@@ -77,13 +191,28 @@ export const exportToJSON = (tasks: Task[]) => {
     return;
   }
 
-  // Export full task data with results
-  const data = completedTasks.map(task => ({
-    url: task.url,
-    status: task.status,
-    crawledAt: task.finishedAt ? new Date(task.finishedAt).toISOString() : null,
-    result: task.result
-  }));
+  // Export full task data with results, `about` in the chosen variant (per language too)
+  const data = completedTasks.map(task => {
+    const { aboutText, locales, ...result } = task.result!;
+    const exportedLocales = locales && Object.fromEntries(
+      Object.entries(locales).map(([language, { aboutText, ...content }]) => [
+        language,
+        { ...content, about: getAbout({ about: content.about, aboutText }, options.aboutFormat) || null },
+      ])
+    );
+    return {
+      url: task.url,
+      status: task.status,
+      missingFields: task.missingFields,
+      crawledAt: task.finishedAt ? new Date(task.finishedAt).toISOString() : null,
+      result: {
+        ...result,
+        about: getAbout(task.result!, options.aboutFormat) || undefined,
+        aboutFormat: options.aboutFormat,
+        locales: exportedLocales,
+      }
+    };
+  });
 
   const jsonString = JSON.stringify(data, null, 2);
   const blob = new Blob([jsonString], { type: 'application/json' });
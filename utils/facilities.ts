@@ -0,0 +1,21 @@
+import { FacilityGroup } from '../types';
+
+type FacilityContent = { facilities?: FacilityGroup[] | string[]; facilityList?: string[] };
+
+// Results saved before grouping hold a flat string list, shown as one unnamed group
+export const getFacilityGroups = (content?: FacilityContent | null): FacilityGroup[] => {
+  const facilities = content?.facilities || [];
+  if (facilities.length === 0) return [];
+  if (typeof facilities[0] === 'string') {
+    return [{ name: null, items: (facilities as string[]).map(name => ({ name, note: null, popular: false })) }];
+  }
+  return facilities as FacilityGroup[];
+};
+
+export const getFacilityList = (content?: FacilityContent | null): string[] => {
+  if (content?.facilityList) return content.facilityList;
+  return [...new Set(getFacilityGroups(content).flatMap(group => group.items.map(item => item.name)))];
+};
+
+export const formatFacility = (item: { name: string; note: string | null }) =>
+  item.note ? `${item.name} (${item.note})` : item.name;
@@ -0,0 +1,18 @@
+// Result fields a task can be required to have, in the order of COVERAGE_FIELDS (services/fieldCoverage.cjs)
+export const RESULT_FIELDS: { field: string; label: string }[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'address', label: 'Address' },
+  { field: 'rating', label: 'Star rating' },
+  { field: 'reviewSummary', label: 'Review score' },
+  { field: 'coordinates', label: 'Coordinates' },
+  { field: 'about', label: 'Description' },
+  { field: 'facilities', label: 'Facilities' },
+  { field: 'faqs', label: 'FAQs' },
+  { field: 'houseRules', label: 'House rules' },
+  { field: 'hotelAreaInfo', label: 'Area info' },
+  { field: 'images', label: 'Images' },
+  { field: 'rooms', label: 'Rooms' },
+];
+
+export const getResultFieldLabel = (field: string): string =>
+  RESULT_FIELDS.find(f => f.field === field)?.label || field;